@@ -4,8 +4,11 @@
 
 var Map = require('./map');
 
-function EventManager() {
+// onChange is called with 'allocate' or 'release', the emitter and the event type
+// when a listener is added or removed
+function EventManager(onChange) {
     this.emitters = new Map();
+    this._onChange = onChange || function () {};
 }
 
 EventManager.prototype.getListeners = function (emitter, eventType) {
@@ -43,6 +46,7 @@ EventManager.prototype.addListener = function (emitter, eventType, listener, onc
         listenerProxy: listenerProxy || listener
     });
     emitter.addListener(eventType, listenerProxy || listener);
+    self._onChange('allocate', emitter, eventType);
 };
 EventManager.prototype.removeListener = function (target, eventType, listener) {
     var arr = this.getListeners(target, eventType);
@@ -50,6 +54,7 @@ EventManager.prototype.removeListener = function (target, eventType, listener) {
         if (arr[i].listener === listener) {
             target.removeListener(eventType, arr[i].listenerProxy);
             arr.splice(i, 1);
+            this._onChange('release', target, eventType);
             return;
         }
     }
@@ -68,6 +73,7 @@ EventManager.prototype.removeAllListeners = function (emitter, eventType) {
             if (!eventType || i === eventType) {
                 listeners[i].splice(0).forEach(function (v) {
                     emitter.removeListener(i, v.listenerProxy);
+                    self._onChange('release', emitter, i);
                 });
             }
         });
@@ -0,0 +1,237 @@
+/*jshint node:true,regexp:true */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var util = require('util');
+
+// operation of each path argument of fs and fs.promises methods
+// methods neither listed here nor accepting file descriptors are blocked;
+// 'open' is decided by the flags argument, 'flag' and 'flags' by the option of that name
+var FS_METHODS = {
+    access: ['metadata'],
+    appendFile: ['write'],
+    chmod: ['write'],
+    chown: ['write'],
+    copyFile: ['read', 'write'],
+    cp: ['read', 'write'],
+    createReadStream: ['flags'],
+    createWriteStream: ['write'],
+    exists: ['metadata'],
+    lchmod: ['write'],
+    lchown: ['write'],
+    link: ['write', 'write'],
+    lstat: ['metadata'],
+    lutimes: ['write'],
+    mkdir: ['write'],
+    mkdtemp: ['write'],
+    open: ['open'],
+    openAsBlob: ['read'],
+    opendir: ['read'],
+    readdir: ['read'],
+    readFile: ['flag'],
+    readlink: ['read'],
+    realpath: ['metadata'],
+    rename: ['write', 'write'],
+    rm: ['write'],
+    rmdir: ['write'],
+    stat: ['metadata'],
+    statfs: ['metadata'],
+    symlink: [null, 'write'],
+    truncate: ['write'],
+    unlink: ['write'],
+    unwatchFile: ['watch'],
+    utimes: ['write'],
+    watch: ['watch'],
+    watchFile: ['watch'],
+    writeFile: ['write']
+};
+var FS_FD_METHODS = 'close fchmod fchown fdatasync fstat fsync ftruncate futimes read readv write writev'.split(' ');
+
+var WRITE_FLAGS = fs.constants.O_WRONLY | fs.constants.O_RDWR | fs.constants.O_CREAT | fs.constants.O_TRUNC | fs.constants.O_APPEND;
+
+// methods that operate on the symbolic link itself instead of its target
+var NO_FOLLOW = 'lstat readlink unlink rm rmdir rename link symlink lchown lchmod lutimes'.split(' ');
+
+function isContained(basedir, filename) {
+    var relative = path.relative(basedir, filename);
+    return relative !== '..' && relative.substr(0, 3) !== '..' + path.sep && !path.isAbsolute(relative);
+}
+
+function realpath(filename, noFollow) {
+    var dirname = path.dirname(filename);
+    if (!noFollow) {
+        try {
+            return fs.realpathSync(filename);
+        } catch (ex) {
+            if (ex.code !== 'ENOENT' && ex.code !== 'ENOTDIR') {
+                throw ex;
+            }
+        }
+    }
+    if (dirname === filename) {
+        return filename;
+    }
+    // resolve from the nearest existing parent for files not yet exist
+    filename = path.join(realpath(dirname), path.basename(filename));
+    if (!noFollow) {
+        try {
+            // dangling symbolic link is followed to where the file will be created
+            return realpath(path.resolve(path.dirname(filename), fs.readlinkSync(filename)));
+        } catch (ex) {
+            if (ex.code !== 'ENOENT' && ex.code !== 'EINVAL' && ex.code !== 'ENOTDIR') {
+                throw ex;
+            }
+        }
+    }
+    return filename;
+}
+
+function throwEAcces(format, filename) {
+    var err = new Error(util.format(format, filename));
+    err.code = 'EACCES';
+    throw err;
+}
+
+function globToRegExp(pattern) {
+    var suffix = '';
+    var src = '';
+    pattern = pattern.replace(/\\/g, '/');
+    if (/\/\*\*$/.test(pattern)) {
+        // trailing '/**' also matches the directory itself
+        pattern = pattern.slice(0, -3);
+        suffix = '(?:/.*)?';
+    }
+    for (var i = 0, length = pattern.length; i < length; i++) {
+        var ch = pattern.charAt(i);
+        if (ch === '*' && pattern.charAt(i + 1) === '*') {
+            if (pattern.charAt(i + 2) === '/') {
+                src += '(?:.*/)?';
+                i += 2;
+            } else {
+                src += '.*';
+                i += 1;
+            }
+        } else if (ch === '*') {
+            src += '[^/]*';
+        } else if (ch === '?') {
+            src += '[^/]';
+        } else {
+            src += ch.replace(/[\\^$.+()|[\]{}]/, '\\$&');
+        }
+    }
+    return new RegExp('^' + src + suffix + '$');
+}
+
+function getMethodName(method) {
+    return method.replace(/\.native$/, '').replace(/Sync$/, '');
+}
+
+function getOpenOperation(flags) {
+    if (flags === undefined || flags === null || flags === 'r' || flags === 'rs' || flags === 'sr') {
+        return 'read';
+    }
+    // numeric flags can create, truncate or append without being opened for writing
+    return typeof flags === 'number' && !(flags & WRITE_FLAGS) ? 'read' : 'write';
+}
+
+function getPathArguments(method, args) {
+    var operations = FS_METHODS[getMethodName(method)];
+    return operations && operations.map(function (v) {
+        if (v === 'open') {
+            return getOpenOperation(args[1]);
+        }
+        if (v === 'flag' || v === 'flags') {
+            return getOpenOperation(args[1] && typeof args[1] === 'object' ? args[1][v] : undefined);
+        }
+        return v;
+    });
+}
+
+function isFdMethod(method) {
+    return FS_FD_METHODS.indexOf(getMethodName(method)) >= 0;
+}
+
+function followsLink(method) {
+    return NO_FOLLOW.indexOf(getMethodName(method)) < 0;
+}
+
+function toPath(value) {
+    if (value instanceof Buffer) {
+        return value.toString();
+    }
+    if (value && typeof value === 'object' && value.protocol === 'file:' && typeof value.href === 'string') {
+        return url.fileURLToPath(value.href);
+    }
+    return value;
+}
+
+function FsPolicy(scope, options) {
+    options = options || {};
+    var readOnly = options.readOnly || [];
+    var readWrite = options.readWrite || (options.readOnly ? [] : ['.']);
+
+    this.scope = scope;
+    this.readOnly = readOnly.map(function (v) {
+        return path.resolve(scope, v);
+    });
+    this.readWrite = readWrite.map(function (v) {
+        return path.resolve(scope, v);
+    });
+    this.real = {
+        scope: realpath(scope),
+        readOnly: this.readOnly.map(function (v) {
+            return realpath(v);
+        }),
+        readWrite: this.readWrite.map(function (v) {
+            return realpath(v);
+        })
+    };
+    this.deny = (options.deny || []).map(globToRegExp);
+    this.denyWrite = (options.denyWrite || []).map(globToRegExp);
+    this.denyExternalLinks = !!options.denyExternalLinks;
+}
+
+FsPolicy.prototype.isAllowed = function (filename, operation, isRealPath) {
+    var roots = isRealPath ? this.real : this;
+    var relative = path.relative(roots.scope, filename).replace(/\\/g, '/');
+    var matchRelative = function (v) {
+        return v.test(relative);
+    };
+    var containsFile = function (v) {
+        return isContained(v, filename);
+    };
+    if (this.deny.some(matchRelative)) {
+        return false;
+    }
+    if (operation === 'write') {
+        return roots.readWrite.some(containsFile) && !this.denyWrite.some(matchRelative);
+    }
+    return roots.readWrite.some(containsFile) || roots.readOnly.some(containsFile);
+};
+FsPolicy.prototype.check = function (filename, operation, noFollow) {
+    filename = path.resolve(this.scope, toPath(filename));
+    if (!this.isAllowed(filename, operation) || !this.isAllowed(realpath(filename, noFollow), operation, true)) {
+        throwEAcces(operation === 'write' ? 'Write access to %s is blocked' : 'Access to %s is blocked', filename);
+    }
+    return filename;
+};
+FsPolicy.prototype.checkLinkTarget = function (target, linkPath) {
+    if (this.denyExternalLinks) {
+        var filename = path.resolve(path.dirname(path.resolve(this.scope, toPath(linkPath))), String(toPath(target)));
+        if (!this.isAllowed(realpath(filename), 'read', true)) {
+            throwEAcces('Link to %s is blocked', filename);
+        }
+    }
+};
+
+FsPolicy.isContained = isContained;
+FsPolicy.globToRegExp = globToRegExp;
+FsPolicy.realpath = realpath;
+FsPolicy.getPathArguments = getPathArguments;
+FsPolicy.isFdMethod = isFdMethod;
+FsPolicy.followsLink = followsLink;
+
+module.exports = FsPolicy;
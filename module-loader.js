@@ -1,17 +1,30 @@
 /*jshint node:true */
+/*global Promise */
 
 'use strict';
 
-var builtInModules = require('builtin-modules');
+var crypto = require('crypto');
 var fs = require('fs');
 var Module = require('module');
 var path = require('path');
+var url = require('url');
 var util = require('util');
 var vm = require('vm');
 
+var Map = require('./map');
+
+var FsPolicy = require('./fs-policy');
+var SourceMap = require('./source-map');
+
+// include modules like fs/promises which are not listed by builtin-modules
+var builtInModules = require('builtin-modules').concat((Module.builtinModules || []).filter(function (v) {
+    return v.charAt(0) !== '_' && v.indexOf('/') > 0;
+}));
 var lookupPaths = {};
 var realRequire = require;
 var requireFS;
+// number of characters prepended to the first line of scripts by Module.wrap()
+var WRAPPER_OFFSET = Module.wrap('\u0000').indexOf('\u0000');
 
 function stripBOM(content) {
     // Remove byte order marker. This catches EF BB BF (the UTF-8 BOM)
@@ -23,6 +36,10 @@ function stripBOM(content) {
     return content;
 }
 
+function hasOwnProperty(obj, prop) {
+    return Object.prototype.hasOwnProperty.call(obj, prop);
+}
+
 function throwError(code, message) {
     var err = new Error(util.format.apply(null, Array.prototype.slice.call(arguments, 1)));
     err.code = code;
@@ -31,7 +48,7 @@ function throwError(code, message) {
 
 function isFile(filename) {
     try {
-        return fs.statSync(filename).isFile() && filename;
+        return (requireFS || fs).statSync(filename).isFile() && filename;
     } catch (ex) {
         if (ex.code === 'ENOENT') {
             return false;
@@ -42,7 +59,7 @@ function isFile(filename) {
 
 function isDirectory(dirname) {
     try {
-        return fs.statSync(dirname).isDirectory() && dirname;
+        return (requireFS || fs).statSync(dirname).isDirectory() && dirname;
     } catch (ex) {
         if (ex.code === 'ENOENT') {
             return false;
@@ -51,6 +68,15 @@ function isDirectory(dirname) {
     }
 }
 
+function isReadAllowed(runspace, filename) {
+    try {
+        runspace.fsPolicy.check(filename, 'read');
+        return true;
+    } catch (ex) {
+        return false;
+    }
+}
+
 function tryExtensions(p, exts) {
     for (var i = 0, length = exts.length; i < length; i++) {
         var filename = isFile(p + exts[i]);
@@ -68,7 +94,7 @@ function tryPackage(dirname, exts) {
     var jsonPath = path.resolve(dirname, 'package.json');
     if (isFile(jsonPath)) {
         try {
-            var manifest = JSON.parse(fs.readFileSync(jsonPath));
+            var manifest = JSON.parse((requireFS || fs).readFileSync(jsonPath));
             if (typeof manifest.main === 'string') {
                 var filename = path.resolve(dirname, manifest.main);
                 return tryFile(filename, exts) || tryExtensions(path.join(filename, 'index'), exts);
@@ -85,11 +111,226 @@ function tryDirectory(dirname, exts) {
     return tryPackage(dirname, exts) || tryExtensions(path.join(dirname, 'index'), exts);
 }
 
-function requireAt(runspace, loader, dir, parent) {
+function readPackage(dirname) {
+    var jsonPath = path.join(dirname, 'package.json');
+    return isFile(jsonPath) && JSON.parse((requireFS || fs).readFileSync(jsonPath));
+}
+
+function findPackageScope(dirname) {
+    // finds the directory containing the nearest package.json
+    for (; ; dirname = path.dirname(dirname)) {
+        if (isFile(path.join(dirname, 'package.json'))) {
+            return dirname;
+        }
+        if (dirname === path.dirname(dirname)) {
+            return null;
+        }
+    }
+}
+
+function isConditionalMap(obj) {
+    return obj && typeof obj === 'object' && !Array.isArray(obj) && Object.keys(obj).every(function (v) {
+        return v.charAt(0) !== '.';
+    });
+}
+
+function resolvePackageTarget(context, target, patternMatch) {
+    // follows PACKAGE_TARGET_RESOLVE of the Node.js resolution algorithm
+    // returns null for excluded targets and undefined if no condition is matched
+    if (typeof target === 'string') {
+        if (patternMatch !== null) {
+            target = target.replace(/\*/g, patternMatch);
+        }
+        if (target.substr(0, 2) !== './') {
+            if (context.isImports && !/^(\.\.?\/|\/|[a-z][a-z0-9+.-]*:)/i.test(target)) {
+                return context.resolveBare(target);
+            }
+            throwError('ERR_INVALID_PACKAGE_TARGET', 'Invalid "%s" target "%s" defined in the package config %s', context.field, target, context.jsonPath);
+        }
+        var filename = path.resolve(context.dirname, target);
+        if (target.split(/[\\/]/).indexOf('..') >= 0 || target.split(/[\\/]/).indexOf('node_modules') >= 0) {
+            throwError('ERR_INVALID_PACKAGE_TARGET', 'Invalid "%s" target "%s" defined in the package config %s', context.field, target, context.jsonPath);
+        }
+        return filename;
+    }
+    if (Array.isArray(target)) {
+        var lastError;
+        for (var i = 0, length = target.length; i < length; i++) {
+            try {
+                var resolved = resolvePackageTarget(context, target[i], patternMatch);
+                if (resolved !== null && resolved !== undefined) {
+                    return resolved;
+                }
+            } catch (ex) {
+                if (ex.code !== 'ERR_INVALID_PACKAGE_TARGET') {
+                    throw ex;
+                }
+                lastError = ex;
+            }
+        }
+        if (lastError) {
+            throw lastError;
+        }
+        return null;
+    }
+    if (target && typeof target === 'object') {
+        var keys = Object.keys(target);
+        for (var j = 0; j < keys.length; j++) {
+            if (keys[j] === 'default' || context.conditions.indexOf(keys[j]) >= 0) {
+                var value = resolvePackageTarget(context, target[keys[j]], patternMatch);
+                if (value !== undefined) {
+                    return value;
+                }
+            }
+        }
+        return undefined;
+    }
+    return null;
+}
+
+function resolvePackageMap(context, matchKey, matchObj) {
+    // follows PACKAGE_IMPORTS_EXPORTS_RESOLVE of the Node.js resolution algorithm
+    if (Object.prototype.hasOwnProperty.call(matchObj, matchKey) && matchKey.indexOf('*') < 0) {
+        return resolvePackageTarget(context, matchObj[matchKey], null);
+    }
+    var expansionKeys = Object.keys(matchObj).filter(function (v) {
+        return v.indexOf('*') >= 0 && v.indexOf('*') === v.lastIndexOf('*');
+    }).sort(function (a, b) {
+        return (b.indexOf('*') - a.indexOf('*')) || (b.length - a.length);
+    });
+    for (var i = 0, length = expansionKeys.length; i < length; i++) {
+        var key = expansionKeys[i];
+        var base = key.substr(0, key.indexOf('*'));
+        var trailer = key.substr(key.indexOf('*') + 1);
+        if (matchKey.substr(0, base.length) === base && matchKey !== base &&
+            (!trailer || (matchKey.length >= key.length && matchKey.substr(-trailer.length) === trailer))) {
+            return resolvePackageTarget(context, matchObj[key], matchKey.slice(base.length, matchKey.length - trailer.length));
+        }
+    }
+    return null;
+}
+
+function resolvePackageExports(packagePath, subpath, conditions) {
+    // returns undefined if the package does not exist or does not define "exports"
+    var manifest = readPackage(packagePath);
+    if (!manifest || manifest.exports === undefined || manifest.exports === null) {
+        return undefined;
+    }
+    var exports = manifest.exports;
+    var context = {
+        dirname: packagePath,
+        jsonPath: path.join(packagePath, 'package.json'),
+        field: 'exports',
+        conditions: conditions
+    };
+    var resolved = null;
+    if (subpath === '.') {
+        var mainExport = typeof exports === 'string' || Array.isArray(exports) || isConditionalMap(exports) ? exports : exports['.'];
+        if (mainExport !== undefined) {
+            resolved = resolvePackageTarget(context, mainExport, null);
+        }
+    } else if (!isConditionalMap(exports) && typeof exports === 'object' && !Array.isArray(exports)) {
+        resolved = resolvePackageMap(context, subpath, exports);
+    }
+    if (resolved === null || resolved === undefined) {
+        if (subpath === '.') {
+            throwError('ERR_PACKAGE_PATH_NOT_EXPORTED', 'No "exports" main defined in %s', context.jsonPath);
+        }
+        throwError('ERR_PACKAGE_PATH_NOT_EXPORTED', 'Package subpath \'%s\' is not defined by "exports" in %s', subpath, context.jsonPath);
+    }
+    return resolved;
+}
+
+function resolvePackageImports(dirname, specifier, conditions, resolveBare) {
+    var packagePath = findPackageScope(dirname);
+    var manifest = packagePath && readPackage(packagePath);
+    var resolved = null;
+    if (manifest && manifest.imports && typeof manifest.imports === 'object') {
+        resolved = resolvePackageMap({
+            dirname: packagePath,
+            jsonPath: path.join(packagePath, 'package.json'),
+            field: 'imports',
+            conditions: conditions,
+            isImports: true,
+            resolveBare: resolveBare
+        }, specifier, manifest.imports);
+    }
+    if (resolved === null || resolved === undefined) {
+        throwError('ERR_PACKAGE_IMPORT_NOT_DEFINED', 'Package import specifier "%s" is not defined in package %s', specifier, packagePath ? path.join(packagePath, 'package.json') : dirname);
+    }
+    return resolved;
+}
+
+function getPackageType(filename) {
+    // finds the "type" field from the nearest package.json
+    var packagePath = findPackageScope(path.dirname(filename));
+    try {
+        return packagePath ? readPackage(packagePath).type : undefined;
+    } catch (ex) {
+        return undefined;
+    }
+}
+
+function getBuiltinPolicy(builtins, name) {
+    // subpaths like fs/promises are under the policy of their module unless they have their own,
+    // and are denied if the module is replaced, so that they cannot bypass the replacement
+    var base = name.split('/')[0];
+    if (hasOwnProperty(builtins, name) || base === name || !hasOwnProperty(builtins, base)) {
+        return builtins[name];
+    }
+    var policy = builtins[base];
+    return policy && typeof policy === 'object' && policy.exports !== undefined ? false : policy;
+}
+
+function getBuiltinOptions(name, policy) {
+    // the policy of a built-in module is passed to the proxy except the replacement exports
+    var options = {
+        name: name
+    };
+    if (policy && typeof policy === 'object') {
+        Object.keys(policy).forEach(function (i) {
+            if (i !== 'exports' && i !== 'name') {
+                options[i] = policy[i];
+            }
+        });
+    }
+    return options;
+}
+
+function isModuleFile(filename) {
+    var ext = path.extname(filename);
+    return ext === '.mjs' || (ext === '.js' && getPackageType(filename) === 'module');
+}
+
+function getScriptOptions(loader, filename, dirname) {
+    // import() from scripts is only supported when vm modules are available
+    var options = {
+        filename: filename
+    };
+    if (vm.SourceTextModule) {
+        options.importModuleDynamically = function (specifier) {
+            return loader.import(specifier, dirname);
+        };
+    }
+    return options;
+}
+
+function requireAt(runspace, loader, dir, parent, isImport) {
     var nocheck = !runspace.isPathAllowed(dir);
-    var pathCache = loader.pathCache[dir];
+    var cacheKey = (isImport ? 'import:' : '') + dir;
+    var pathCache = loader.pathCache[cacheKey];
     if (!pathCache) {
-        pathCache = loader.pathCache[dir] = {};
+        pathCache = loader.pathCache[cacheKey] = {};
+    }
+    // packages are resolved by "exports" and "imports" with these conditions
+    // in addition to the "default" condition
+    var conditions = [isImport ? 'import' : 'require'].concat(loader.conditions);
+
+    function ensureFile(filename, id) {
+        if (!isFile(filename)) {
+            throwError('MODULE_NOT_FOUND', 'Cannot find module \'%s\'', id);
+        }
+        return filename;
     }
 
     function resolveNodeModules(id, exts) {
@@ -105,7 +346,19 @@ function requireAt(runspace, loader, dir, parent) {
                 paths.push.apply(paths, Module.globalPaths.filter(filter));
             }
         }
+        var parts = id.split('/');
+        var name = parts.slice(0, id.charAt(0) === '@' ? 2 : 1).join('/');
+        var subpath = '.' + id.substr(name.length);
+        var isBare = id.charAt(0) !== '.' && !path.isAbsolute(id);
+        var selfExported = isBare && resolveSelf(name, subpath);
+        if (selfExported) {
+            return ensureFile(selfExported, id);
+        }
         for (var i = 0, length = paths.length; i < length; i++) {
+            var exported = isBare && resolvePackageExports(path.join(paths[i], name), subpath, conditions);
+            if (exported) {
+                return ensureFile(exported, id);
+            }
             var modulePath = path.join(paths[i], id);
             var filename = tryFile(modulePath, exts) || tryDirectory(modulePath, exts);
             if (filename) {
@@ -115,11 +368,64 @@ function requireAt(runspace, loader, dir, parent) {
         throwError('MODULE_NOT_FOUND', 'Cannot find module \'%s\'', id);
     }
 
+    function resolveSelf(name, subpath) {
+        // a package can require itself by its name only if it defines "exports"
+        var packagePath = findPackageScope(dir);
+        if (!packagePath || !(nocheck || runspace.isPathAllowed(packagePath))) {
+            return undefined;
+        }
+        var manifest = readPackage(packagePath);
+        return manifest.name === name ? resolvePackageExports(packagePath, subpath, conditions) : undefined;
+    }
+
+    function isResolvedPathAllowed(filename) {
+        // resolved path is checked against its real path
+        // so that symbolic links cannot escape the sandbox
+        if (nocheck) {
+            return true;
+        }
+        if (runspace.isPathAllowed(filename)) {
+            // files under the sandbox root are also subject to the fs policy, including deny patterns
+            return isReadAllowed(runspace, filename);
+        }
+        var realpath = FsPolicy.realpath(filename);
+        return loader.loadPaths.some(function (v) {
+            return FsPolicy.isContained(FsPolicy.realpath(path.resolve(v)), realpath);
+        });
+    }
+
+    function isVirtual(filename) {
+        return hasOwnProperty(loader.modules, filename) || builtInModules.indexOf(filename) >= 0;
+    }
+
     function resolveFilename(id) {
-        if (builtInModules.indexOf(id) >= 0) {
+        var previousFS = requireFS;
+        try {
+            requireFS = loader.fs;
+            var filename = findFilename(id);
+            if (!isVirtual(filename) && !isResolvedPathAllowed(filename)) {
+                throwError('EACCES', 'Access denied to module \'%s\'', id);
+            }
+            return filename;
+        } finally {
+            requireFS = previousFS;
+        }
+    }
+
+    function findFilename(id) {
+        id = loader.resolveAlias(id);
+        if (hasOwnProperty(loader.modules, id) || builtInModules.indexOf(id) >= 0) {
             return id;
         }
+        if (id.substr(0, 5) === 'node:' && builtInModules.indexOf(id.substr(5)) >= 0) {
+            return id.substr(5);
+        }
         var exts = Object.keys(loader.Module.extensions);
+        if (id.charAt(0) === '#') {
+            // bare targets are resolved as other modules
+            var target = resolvePackageImports(dir, id, conditions, findFilename);
+            return isVirtual(target) ? target : ensureFile(target, id);
+        }
         if (id.substr(0, 2) === './' || id.charAt(0) === '/' || id.substr(0, 3) === '../') {
             var absolutePath = path.resolve(dir, id);
             if (nocheck || runspace.isPathAllowed(absolutePath)) {
@@ -131,32 +437,39 @@ function requireAt(runspace, loader, dir, parent) {
 
     function require(id) {
         runspace.throwIfTerminated();
-        if (id === 'module') {
-            return loader.Module;
-        }
-
         var filename = pathCache[id];
         if (!filename) {
             filename = pathCache[id] = resolveFilename(id);
         }
+        if (filename === 'module') {
+            // including 'node:module' which would otherwise give the host's createRequire()
+            return loader.Module;
+        }
+        if (hasOwnProperty(loader.modules, filename)) {
+            return loader.requireVirtual(filename);
+        }
         if (builtInModules.indexOf(filename) >= 0) {
-            if (loader.deny.indexOf(filename) >= 0) {
+            var policy = getBuiltinPolicy(loader.builtins, filename);
+            if (policy === false) {
                 throwError('EACCES', 'Access denied to module \'%s\'', id);
             }
-            var m = realRequire(filename);
-            return runspace.getProxy(m) || runspace.add(m, {
-                name: filename
-            });
+            var m = policy && policy.exports !== undefined ? policy.exports : realRequire(filename);
+            return runspace.getProxy(m) || runspace.add(m, getBuiltinOptions(filename, policy));
         }
         if (require.cache[filename]) {
             return require.cache[filename].exports;
         }
+        if (isModuleFile(filename)) {
+            throwError('ERR_REQUIRE_ESM', 'require() of ES Module %s not supported, use import() instead', filename);
+        }
+        runspace._checkLimit('maxModules', loader.getModules().length + 1);
 
         var module = require.cache[filename] = new loader.Module(filename, parent || null);
         module.filename = filename;
         module.require = requireAt(runspace, loader, path.dirname(filename), module);
+        var previousFS = requireFS;
         try {
-            requireFS = fs;
+            requireFS = loader.fs;
             (require.extensions[path.extname(filename)] || require.extensions['.js'])(module, filename);
             module.loaded = true;
             return module.exports;
@@ -164,7 +477,7 @@ function requireAt(runspace, loader, dir, parent) {
             delete require.cache[filename];
             throw ex;
         } finally {
-            requireFS = null;
+            requireFS = previousFS;
         }
     }
 
@@ -174,15 +487,95 @@ function requireAt(runspace, loader, dir, parent) {
     return require;
 }
 
+function isExtension(pattern) {
+    return pattern.charAt(0) === '.' && !/[\/\\*?]/.test(pattern);
+}
+
+function createMatcher(runspace, pattern) {
+    // patterns are either an extension like '.ts' or a glob relative to the sandbox root
+    if (isExtension(pattern)) {
+        return function (filename) {
+            return filename.slice(-pattern.length) === pattern;
+        };
+    }
+    var re = FsPolicy.globToRegExp(pattern);
+    return function (filename) {
+        return re.test(path.relative(runspace.scope, filename).replace(/\\/g, '/'));
+    };
+}
+
+function applyTransforms(transforms, code, filename) {
+    // transforms may return an object of code and source map,
+    // the map is dropped if a later transform returns code only
+    return transforms.reduce(function (source, v) {
+        var result = v(source.code, filename);
+        if (result && typeof result === 'object') {
+            return {
+                code: String(result.code),
+                map: result.map || null
+            };
+        }
+        return {
+            code: String(result),
+            map: null
+        };
+    }, {
+        code: code,
+        map: null
+    });
+}
+
+// returns code and source map, if any, returned by transforms
+function readSource(runspace, loader, filename) {
+    // transformed sources are cached by modified time, and then by hash of the source
+    // so that touched but unchanged files are not transformed again
+    var fileSystem = requireFS || runspace.getProxy(fs);
+    var transforms = loader.transforms.filter(function (v) {
+        return v.test(filename);
+    }).map(function (v) {
+        return v.transform;
+    });
+    if (!transforms.length) {
+        return {
+            code: fileSystem.readFileSync(filename, 'utf8'),
+            map: null
+        };
+    }
+    var mtime = fileSystem.statSync(filename).mtime.getTime();
+    var entry = loader.transformCache[filename];
+    if (!entry || entry.transforms.length !== transforms.length || entry.transforms.some(function (v, i) {
+            return v !== transforms[i];
+        })) {
+        entry = null;
+    }
+    if (entry && entry.mtime === mtime) {
+        return entry.source;
+    }
+    var code = fileSystem.readFileSync(filename, 'utf8');
+    var hash = crypto.createHash('sha1').update(code).digest('hex');
+    if (!entry || entry.hash !== hash) {
+        entry = {
+            transforms: transforms,
+            hash: hash,
+            source: applyTransforms(transforms, stripBOM(code), filename)
+        };
+    }
+    entry.mtime = mtime;
+    loader.transformCache[filename] = entry;
+    return entry.source;
+}
+
 function loadScript(runspace, module, filename) {
-    var code = (requireFS || runspace.getProxy(fs)).readFileSync(filename, 'utf8');
+    var source = readSource(runspace, runspace.moduleLoader, filename);
+    var code = source.code;
     var dummy = new vm.Script(code);
-    var fn = new vm.Script(Module.wrap(stripBOM(code)), filename).runInContext(runspace.context);
-    fn.call(module.exports, module.exports, module.require, module, filename, path.dirname(filename));
+    runspace.moduleLoader.addSourceMap(filename, WRAPPER_OFFSET, source);
+    var fn = new vm.Script(Module.wrap(stripBOM(code)), getScriptOptions(runspace.moduleLoader, filename, path.dirname(filename))).runInContext(runspace.context);
+    runspace._invoke(fn, module.exports, [module.exports, module.require, module, filename, path.dirname(filename)]);
 }
 
 function loadJSON(runspace, module, filename) {
-    var content = (requireFS || runspace.getProxy(fs)).readFileSync(filename, 'utf8');
+    var content = readSource(runspace, runspace.moduleLoader, filename).code;
     try {
         module.exports = JSON.parse(stripBOM(content));
     } catch (ex) {
@@ -196,7 +589,85 @@ function loadNative(runspace, module, filename) {
     module.exports = process.dlopen(module, filename);
 }
 
+function createSyntheticModule(runspace, exports, identifier) {
+    // exposes exports of CommonJS, built-in and virtual modules to ES modules
+    var names = exports && (typeof exports === 'object' || typeof exports === 'function') ? Object.keys(exports).filter(function (v) {
+        return v !== 'default';
+    }) : [];
+    return new vm.SyntheticModule(['default'].concat(names), function () {
+        var self = this;
+        self.setExport('default', exports);
+        names.forEach(function (v) {
+            try {
+                self.setExport(v, exports[v]);
+            } catch (ex) {
+                // skip properties that are blocked from access
+            }
+        });
+    }, {
+        context: runspace.context,
+        identifier: identifier
+    });
+}
+
+function createSourceTextModule(runspace, loader, filename) {
+    var source = readSource(runspace, loader, filename);
+    var code = source.code;
+    var dirname = path.dirname(filename);
+    var fileURL = url.pathToFileURL(filename).href;
+    loader.addSourceMap(fileURL, 0, source, filename);
+    return new vm.SourceTextModule(stripBOM(code), {
+        context: runspace.context,
+        identifier: fileURL,
+        initializeImportMeta: function (meta) {
+            meta.url = fileURL;
+        },
+        importModuleDynamically: function (specifier) {
+            return loader.import(specifier, dirname);
+        }
+    });
+}
+
+function resolveModule(runspace, loader, specifier, dirname) {
+    // specifiers are resolved by the same rules as require()
+    // so that scope and denied modules are respected
+    var require = requireAt(runspace, loader, dirname, null, true);
+    if (/^file:/.test(specifier)) {
+        specifier = url.fileURLToPath(specifier);
+    }
+    specifier = specifier.replace(/^node:/, '');
+
+    var previousFS = requireFS;
+    try {
+        requireFS = loader.fs;
+        var filename = require.resolve(specifier);
+        if (!loader.esmCache[filename]) {
+            if (isModuleFile(filename)) {
+                runspace._checkLimit('maxModules', loader.getModules().length + 1);
+            }
+            loader.esmCache[filename] = isModuleFile(filename) ?
+                createSourceTextModule(runspace, loader, filename) :
+                createSyntheticModule(runspace, require(specifier), filename);
+        }
+        return loader.esmCache[filename];
+    } finally {
+        requireFS = previousFS;
+    }
+}
+
+function linkModule(runspace, loader, module) {
+    var promise = loader.esmLinks.get(module);
+    if (!promise) {
+        promise = module.status !== 'unlinked' ? Promise.resolve() : module.link(function (specifier, referencingModule) {
+            return resolveModule(runspace, loader, specifier, path.dirname(url.fileURLToPath(referencingModule.identifier)));
+        });
+        loader.esmLinks.set(module, promise);
+    }
+    return promise;
+}
+
 module.exports = function ModuleLoader(runspace, options) {
+    var self = this;
     function Module(id, parent) {
         this.id = id;
         this.exports = {};
@@ -209,6 +680,18 @@ module.exports = function ModuleLoader(runspace, options) {
         this.children = [];
     }
     Module.Module = Module;
+    Module.builtinModules = builtInModules.slice();
+    Module.createRequire = function (filename) {
+        // returns require() of the sandbox, which resolves from the directory of the given file
+        if (typeof filename === 'object' && filename && filename.href) {
+            filename = filename.href;
+        }
+        filename = String(filename);
+        if (filename.substr(0, 5) === 'file:') {
+            filename = url.fileURLToPath(filename);
+        }
+        return self.requireAt(filename.charAt(filename.length - 1) === '/' ? filename : path.dirname(filename));
+    };
     Module.cache = {};
     Module.extensions = {
         '.js': function (module, filename) {
@@ -219,12 +702,151 @@ module.exports = function ModuleLoader(runspace, options) {
         },
         '.node': function (module, filename) {
             loadNative(runspace, module, filename);
+        },
+        '.cjs': function (module, filename) {
+            loadScript(runspace, module, filename);
         }
     };
-    this.deny = options.deny || [];
+    this.builtins = options.builtins || {};
+    this.transforms = [];
+    // transformed sources are kept by each loader so that they are released with the runspace
+    this.transformCache = Object.create(null);
+    this.sourceMaps = Object.create(null);
     this.loadPaths = options.loadPaths || [];
+    this.conditions = options.conditions || ['node'];
+    // modules written by the sandbox are loaded from the overlay if enabled
+    this.fs = runspace.overlay || fs;
     this.pathCache = {};
+    this.modules = Object.create(null);
+    this.esmCache = Object.create(null);
+    this.esmLinks = new Map();
+    this.alias = options.alias || {};
     this.Module = Module;
+    // filenames of loaded modules, CommonJS modules imported are listed once
+    this.getModules = function () {
+        return Object.keys(Module.cache).concat(Object.keys(self.esmCache).filter(function (v) {
+            return !(v in Module.cache);
+        }));
+    };
+    this.define = function (id, exportsOrFactory, proxyOptions) {
+        this.modules[id] = {
+            exports: exportsOrFactory,
+            options: proxyOptions
+        };
+        // ids already resolved, directly or by alias, to files or built-in modules are resolved again
+        // and the cache objects are kept as they are held by require() of each directory
+        Object.keys(this.pathCache).forEach(function (i) {
+            Object.keys(self.pathCache[i]).forEach(function (v) {
+                delete self.pathCache[i][v];
+            });
+        });
+    };
+    this.requireVirtual = function (id) {
+        // factories are called on the first require and
+        // the exports are proxied as other objects added to the runspace
+        var entry = this.modules[id];
+        if (!entry.loaded) {
+            var exports = typeof entry.exports === 'function' ? entry.exports() : entry.exports;
+            if (exports && (typeof exports === 'object' || typeof exports === 'function')) {
+                exports = runspace.getProxy(exports) || runspace.add(exports, entry.options);
+            }
+            entry.exports = exports;
+            entry.loaded = true;
+        }
+        return entry.exports;
+    };
+    this.resolveAlias = function (id) {
+        // alias applies to the module id and its sub-paths like 'lodash/fp'
+        var name = id.split('/')[0].charAt(0) === '@' ? id.split('/').slice(0, 2).join('/') : id.split('/')[0];
+        var target = hasOwnProperty(this.alias, id) ? this.alias[id] : hasOwnProperty(this.alias, name) ? this.alias[name] + id.substr(name.length) : id;
+        if (target !== id && /^\.\.?\//.test(target)) {
+            // relative paths are resolved from the sandbox root
+            return path.resolve(runspace.scope, target);
+        }
+        return target;
+    };
+    Object.keys(options.modules || {}).forEach(function (i) {
+        self.define(i, options.modules[i]);
+    });
+    this.addTransform = function (pattern, transform) {
+        if (typeof transform !== 'function') {
+            throw new TypeError('transform must be a function');
+        }
+        if (isExtension(pattern) && !hasOwnProperty(Module.extensions, pattern)) {
+            // files of new extensions are loaded as scripts after transformed
+            Module.extensions[pattern] = function (module, filename) {
+                loadScript(runspace, module, filename);
+            };
+        }
+        this.transforms.push({
+            test: createMatcher(runspace, pattern),
+            transform: transform
+        });
+    };
+    this.addSourceMap = function (id, offset, source, filename) {
+        // source maps are parsed when a stack trace is first mapped
+        // id is the filename or URL appeared in stack traces
+        filename = filename || id;
+        this.sourceMaps[id] = {
+            offset: offset,
+            load: function () {
+                try {
+                    if (source.map) {
+                        return new SourceMap(source.map, filename);
+                    }
+                } catch (ex) {
+                    return null;
+                }
+                return SourceMap.fromSource(source.code, filename, function (mapFile) {
+                    // map files are read by the same rules as the sandbox, including denied paths of the fs option
+                    if (runspace.isPathAllowed(mapFile) && isReadAllowed(runspace, mapFile)) {
+                        return self.fs.readFileSync(mapFile, 'utf8');
+                    }
+                });
+            }
+        };
+    };
+    this.mapStack = function (stack) {
+        return SourceMap.mapStack(stack, function (id) {
+            var entry = self.sourceMaps[id];
+            if (entry && entry.map === undefined) {
+                entry.map = entry.load();
+            }
+            return entry && entry.map && entry;
+        });
+    };
+    this.registerExtension = function (ext, transform) {
+        if (!isExtension(ext)) {
+            throw new TypeError(util.format('Invalid extension \'%s\'', ext));
+        }
+        this.addTransform(ext, transform);
+    };
+    Object.keys(options.transforms || {}).forEach(function (i) {
+        self.addTransform(i, options.transforms[i]);
+    });
+    this.getBuiltinPolicy = function (name) {
+        return getBuiltinPolicy(self.builtins, name);
+    };
+    this.getScriptOptions = function (filename, dirname) {
+        return getScriptOptions(self, filename, dirname);
+    };
+    this.import = function (specifier, dirname) {
+        // resolves to the module record linked and evaluated
+        // top-level await is resolved before the returned promise resolves
+        var module;
+        return new Promise(function (resolve) {
+            runspace.throwIfTerminated();
+            if (!vm.SourceTextModule) {
+                throw new Error('ECMAScript modules require --experimental-vm-modules flag');
+            }
+            module = resolveModule(runspace, self, specifier, path.resolve(dirname));
+            resolve(linkModule(runspace, self, module));
+        }).then(function () {
+            return runspace._invoke(module.evaluate, module, []);
+        }).then(function () {
+            return module;
+        });
+    };
     this.requireAt = function (dirname) {
         dirname = path.resolve(dirname);
         if (!runspace.isPathAllowed(dirname)) {
@@ -0,0 +1,300 @@
+/*jshint node:true,regexp:true */
+
+'use strict';
+
+var dns = require('dns');
+var net = require('net');
+var url = require('url');
+var util = require('util');
+
+// protocols carried over TCP are also matched by rules of 'tcp'
+var TCP_PROTOCOLS = ['tcp', 'tls', 'http', 'https'];
+
+function parseAddress(address) {
+    // returns bytes of an IP address, with IPv4-mapped IPv6 addresses converted to IPv4
+    address = String(address).replace(/%.*$/, '');
+    var version = net.isIP(address);
+    if (version === 4) {
+        return address.split('.').map(Number);
+    }
+    if (version !== 6) {
+        return null;
+    }
+    var parseGroups = function (str) {
+        var bytes = [];
+        str.split(':').forEach(function (v) {
+            if (v.indexOf('.') >= 0) {
+                bytes.push.apply(bytes, parseAddress(v));
+            } else if (v) {
+                var value = parseInt(v, 16);
+                bytes.push(value >> 8, value & 255);
+            }
+        });
+        return bytes;
+    };
+    var parts = address.split('::');
+    var head = parseGroups(parts[0]);
+    var tail = parts.length > 1 ? parseGroups(parts[1]) : [];
+    var bytes = head;
+    while (bytes.length + tail.length < 16) {
+        bytes.push(0);
+    }
+    bytes = bytes.concat(tail);
+    var isMapped = bytes[10] === 255 && bytes[11] === 255 && bytes.slice(0, 10).every(function (v) {
+        return v === 0;
+    });
+    return isMapped ? bytes.slice(12) : bytes;
+}
+
+function parseCidr(cidr) {
+    var parts = String(cidr).split('/');
+    var bytes = parseAddress(parts[0]);
+    if (!bytes) {
+        throw new TypeError(util.format('Invalid CIDR \'%s\'', cidr));
+    }
+    return {
+        bytes: bytes,
+        prefix: parts.length > 1 ? +parts[1] : bytes.length * 8
+    };
+}
+
+function matchCidr(cidr, address) {
+    var bytes = parseAddress(address);
+    if (!bytes || bytes.length !== cidr.bytes.length) {
+        return false;
+    }
+    for (var i = 0, bits = cidr.prefix; bits > 0; i++, bits -= 8) {
+        var mask = bits >= 8 ? 255 : (255 << (8 - bits)) & 255;
+        if ((bytes[i] & mask) !== (cidr.bytes[i] & mask)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function hostToRegExp(pattern) {
+    return new RegExp('^' + String(pattern).replace(/[\\^$.+?()|[\]{}]/g, '\\$&').replace(/\*/g, '.*') + '$', 'i');
+}
+
+function compileRule(rule) {
+    var host = rule.host !== undefined && hostToRegExp(rule.host);
+    var cidr = rule.cidr !== undefined && parseCidr(rule.cidr);
+    var port = rule.port;
+    var protocols = rule.protocol === undefined ? null : [].concat(rule.protocol);
+    return function (target) {
+        if (host && !host.test(target.host) && !host.test(target.address)) {
+            return false;
+        }
+        if (cidr && !matchCidr(cidr, target.address)) {
+            return false;
+        }
+        if (Array.isArray(port) ? !(target.port >= port[0] && target.port <= port[1]) : port !== undefined && +port !== target.port) {
+            return false;
+        }
+        return !protocols || protocols.some(function (v) {
+            return v === target.protocol || (v === 'tcp' && TCP_PROTOCOLS.indexOf(target.protocol) >= 0);
+        });
+    };
+}
+
+function compileRules(options) {
+    options = options || {};
+    return {
+        allow: options.allow && options.allow.map(compileRule),
+        deny: (options.deny || []).map(compileRule)
+    };
+}
+
+function isAllowed(rules, target) {
+    var match = function (v) {
+        return v(target);
+    };
+    return (!rules.allow || rules.allow.some(match)) && !rules.deny.some(match);
+}
+
+function throwEAcces(message, target) {
+    var err = new Error(message);
+    err.code = 'EACCES';
+    err.address = target.address;
+    err.port = target.port;
+    throw err;
+}
+
+function copyOptions(options) {
+    var copy = {};
+    Object.keys(options || {}).forEach(function (i) {
+        copy[i] = options[i];
+    });
+    return copy;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function blockLocalSocket(format, filename) {
+    // IPC connections and handles cannot be checked against address rules
+    throwEAcces(util.format(format, filename === undefined ? 'handle' : filename), {});
+}
+
+function NetPolicy(options) {
+    options = options || {};
+    this.connect = compileRules(options.connect);
+    this.listen = compileRules(options.listen);
+}
+
+function isUnspecified(address) {
+    var bytes = parseAddress(address);
+    return !!bytes && bytes.every(function (v) {
+        return v === 0;
+    });
+}
+
+// target is an object of host, resolved address, port and protocol
+NetPolicy.prototype.checkConnect = function (target) {
+    if (isUnspecified(target.address)) {
+        // connecting to the unspecified address reaches the local host
+        target = {
+            host: isUnspecified(target.host) ? 'localhost' : target.host,
+            address: parseAddress(target.address).length === 4 ? '127.0.0.1' : '::1',
+            port: target.port,
+            protocol: target.protocol
+        };
+    }
+    if (!isAllowed(this.connect, target)) {
+        throwEAcces(util.format('Connection to %s:%d is blocked', target.host, target.port), target);
+    }
+};
+NetPolicy.prototype.checkListen = function (target) {
+    if (!isAllowed(this.listen, target)) {
+        throwEAcces(util.format('Listening on %s:%d is blocked', target.host, target.port), target);
+    }
+};
+
+NetPolicy.prototype.checkConnectOptions = function (options, protocol, defaultPort) {
+    // hosts are checked after DNS resolution, and the resolved address is used for connection,
+    // so that host names cannot be used to bypass address rules
+    var self = this;
+    var host = options.hostname || options.host || 'localhost';
+    var port = +options.port || defaultPort || 0;
+    var lookup = options.lookup || dns.lookup;
+    host = String(host).replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(host)) {
+        return self.checkConnect({
+            host: host,
+            address: host,
+            port: port,
+            protocol: protocol
+        });
+    }
+    options.lookup = function (hostname, lookupOptions, callback) {
+        if (typeof lookupOptions === 'function') {
+            callback = lookupOptions;
+            lookupOptions = {};
+        }
+        lookup(hostname, lookupOptions, function (err, address, family) {
+            try {
+                if (!err) {
+                    [].concat(address).forEach(function (v) {
+                        self.checkConnect({
+                            host: hostname,
+                            address: isObject(v) ? v.address : v,
+                            port: port,
+                            protocol: protocol
+                        });
+                    });
+                }
+            } catch (ex) {
+                err = ex;
+            }
+            callback(err, address, family);
+        });
+    };
+};
+
+// checks arguments of net.connect(), tls.connect() and Socket#connect()
+NetPolicy.prototype.checkConnectArgs = function (args, protocol) {
+    var options;
+    var index = 1;
+    if (isObject(args[0])) {
+        options = copyOptions(args[0]);
+    } else if (typeof args[0] === 'string' && isNaN(args[0])) {
+        options = {
+            path: args[0]
+        };
+    } else {
+        options = {
+            port: args[0]
+        };
+        if (typeof args[1] === 'string') {
+            options.host = args[index++];
+        }
+        if (isObject(args[index])) {
+            options = copyOptions(args[index++]);
+            options.port = args[0];
+            options.host = typeof args[1] === 'string' ? args[1] : options.host;
+        }
+    }
+    if (options.path !== undefined) {
+        blockLocalSocket('Connection to %s is blocked', options.path);
+    }
+    // arguments are normalized to (options, [callback])
+    args.splice(0, index, options);
+    this.checkConnectOptions(options, protocol);
+};
+
+// checks arguments of http.request() and http.get()
+NetPolicy.prototype.checkRequestArgs = function (args, protocol) {
+    var options;
+    if (typeof args[0] === 'string' || (isObject(args[0]) && typeof args[0].href === 'string')) {
+        var parsed = url.parse(String(args[0].href || args[0]));
+        if (isObject(args[1])) {
+            options = args[1] = copyOptions(args[1]);
+        } else {
+            options = {};
+            args.splice(1, 0, options);
+        }
+        // options take precedence over the URL as in http.request()
+        if (!options.hostname && !options.host) {
+            options.hostname = parsed.hostname;
+        }
+        if (!options.port && parsed.port) {
+            options.port = parsed.port;
+        }
+    } else {
+        options = args[0] = copyOptions(args[0]);
+    }
+    if (options.socketPath !== undefined) {
+        blockLocalSocket('Connection to %s is blocked', options.socketPath);
+    }
+    this.checkConnectOptions(options, protocol, protocol === 'https' ? 443 : 80);
+};
+
+// resolves the host before checking, the callback receives the resolved address
+NetPolicy.prototype.resolve = function (type, target, family, callback) {
+    var self = this;
+    var check = type === 'listen' ? self.checkListen : self.checkConnect;
+    var done = function (err, address) {
+        if (!err) {
+            try {
+                check.call(self, {
+                    host: target.host,
+                    address: address,
+                    port: +target.port || 0,
+                    protocol: target.protocol
+                });
+            } catch (ex) {
+                err = ex;
+            }
+        }
+        callback(err, address);
+    };
+    if (net.isIP(target.host)) {
+        return done(null, target.host);
+    }
+    dns.lookup(target.host, family, done);
+};
+
+NetPolicy.blockLocalSocket = blockLocalSocket;
+
+module.exports = NetPolicy;
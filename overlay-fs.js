@@ -0,0 +1,553 @@
+/*jshint node:true */
+/*global Promise */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
+var util = require('util');
+
+var ERROR_MESSAGES = {
+    EEXIST: 'file already exists',
+    EISDIR: 'illegal operation on a directory',
+    ENOENT: 'no such file or directory',
+    ENOTDIR: 'not a directory',
+    ENOTEMPTY: 'directory not empty',
+    ENOTSUP: 'operation not supported by overlay'
+};
+
+// methods served by the overlay, other methods writing files are not supported
+var OVERLAY_METHODS = 'access appendFile copyFile exists lstat mkdir readdir readFile realpath rename rm rmdir stat truncate unlink writeFile'.split(' ');
+var OVERLAY_STREAMS = ['createReadStream', 'createWriteStream'];
+
+function throwError(code, syscall, filename) {
+    var err = new Error(util.format('%s: %s, %s \'%s\'', code, ERROR_MESSAGES[code], syscall, filename));
+    err.code = code;
+    err.syscall = syscall;
+    err.path = filename;
+    throw err;
+}
+
+function getEncoding(options) {
+    return typeof options === 'string' ? options : options && options.encoding;
+}
+
+function toBuffer(data, options) {
+    if (data instanceof Buffer) {
+        return new Buffer(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return new Buffer(new Buffer(data.buffer, data.byteOffset, data.byteLength));
+    }
+    return new Buffer(String(data), getEncoding(options) || 'utf8');
+}
+
+function createStats(entry) {
+    var stats = Object.create(fs.Stats.prototype);
+    var time = entry.mtime.getTime();
+    var isDirectory = entry.type === 'directory';
+    stats.dev = 0;
+    stats.ino = 0;
+    stats.mode = (isDirectory ? fs.constants.S_IFDIR : fs.constants.S_IFREG) | entry.mode;
+    stats.nlink = 1;
+    stats.uid = process.getuid ? process.getuid() : 0;
+    stats.gid = process.getgid ? process.getgid() : 0;
+    stats.rdev = 0;
+    stats.size = isDirectory ? 0 : entry.data.length;
+    stats.blksize = 4096;
+    stats.blocks = Math.ceil(stats.size / 512);
+    ['atime', 'mtime', 'ctime', 'birthtime'].forEach(function (v) {
+        stats[v + 'Ms'] = time;
+        stats[v] = new Date(time);
+    });
+    return stats;
+}
+
+function createDirent(name, isDirectory) {
+    return new fs.Dirent(name, isDirectory ? fs.constants.UV_DIRENT_DIR : fs.constants.UV_DIRENT_FILE);
+}
+
+function removeRecursive(filename) {
+    try {
+        if (fs.lstatSync(filename).isDirectory()) {
+            fs.readdirSync(filename).forEach(function (v) {
+                removeRecursive(path.join(filename, v));
+            });
+            fs.rmdirSync(filename);
+        } else {
+            fs.unlinkSync(filename);
+        }
+    } catch (ex) {
+        if (ex.code !== 'ENOENT') {
+            throw ex;
+        }
+    }
+}
+
+function makeDirectory(dirname) {
+    if (!fs.existsSync(dirname)) {
+        makeDirectory(path.dirname(dirname));
+        fs.mkdirSync(dirname);
+    }
+}
+
+function OverlayFS(scope) {
+    this.scope = scope;
+    // changed paths mapped to file or directory entries,
+    // or null for files and directories deleted from the overlay
+    this._entries = Object.create(null);
+}
+
+OverlayFS.prototype._resolve = function (filename) {
+    return path.resolve(this.scope, String(filename));
+};
+OverlayFS.prototype._disk = function (filename, noFollow) {
+    // files on disk are hidden when any of its parent directories is
+    // deleted, replaced by a file or re-created in the overlay
+    for (var dirname = path.dirname(filename); dirname !== path.dirname(dirname); dirname = path.dirname(dirname)) {
+        var entry = this._entries[dirname];
+        if (dirname in this._entries && (!entry || entry.type !== 'directory' || entry.opaque)) {
+            return null;
+        }
+    }
+    try {
+        return noFollow ? fs.lstatSync(filename) : fs.statSync(filename);
+    } catch (ex) {
+        if (ex.code === 'ENOENT' || ex.code === 'ENOTDIR') {
+            return null;
+        }
+        throw ex;
+    }
+};
+OverlayFS.prototype._lookup = function (filename, noFollow) {
+    if (filename in this._entries) {
+        return this._entries[filename];
+    }
+    var stats = this._disk(filename, noFollow);
+    return stats && {
+        type: stats.isDirectory() ? 'directory' : 'file',
+        stats: stats
+    };
+};
+OverlayFS.prototype._read = function (filename, syscall) {
+    var entry = this._lookup(filename);
+    if (!entry) {
+        throwError('ENOENT', syscall, filename);
+    }
+    if (entry.type === 'directory') {
+        throwError('EISDIR', 'read', filename);
+    }
+    return entry.data || fs.readFileSync(filename);
+};
+OverlayFS.prototype._write = function (filename, data, syscall) {
+    var entry = this._lookup(filename);
+    var parent = this._lookup(path.dirname(filename));
+    if (entry && entry.type === 'directory') {
+        throwError('EISDIR', syscall, filename);
+    }
+    if (!parent) {
+        throwError('ENOENT', syscall, filename);
+    }
+    if (parent.type !== 'directory') {
+        throwError('ENOTDIR', syscall, filename);
+    }
+    this._entries[filename] = {
+        type: 'file',
+        data: data,
+        mode: entry && entry.stats ? entry.stats.mode & 511 : 420,
+        mtime: new Date()
+    };
+};
+OverlayFS.prototype._copy = function (source, dest) {
+    var self = this;
+    var entry = self._lookup(source, true);
+    if (entry.type === 'directory') {
+        // children on disk are listed explicitly as the directory is opaque
+        self._entries[dest] = {
+            type: 'directory',
+            opaque: true,
+            mode: entry.mode || entry.stats.mode & 511,
+            mtime: new Date()
+        };
+        self.readdirSync(source).forEach(function (v) {
+            self._copy(path.join(source, v), path.join(dest, v));
+        });
+    } else {
+        self._entries[dest] = {
+            type: 'file',
+            data: new Buffer(self._read(source, 'copyfile')),
+            mode: entry.mode || entry.stats.mode & 511,
+            mtime: new Date()
+        };
+    }
+};
+OverlayFS.prototype._remove = function (filename) {
+    var prefix = filename + path.sep;
+    Object.keys(this._entries).forEach(function (v) {
+        if (v.substr(0, prefix.length) === prefix) {
+            delete this._entries[v];
+        }
+    }, this);
+    delete this._entries[filename];
+    if (this._disk(filename, true)) {
+        this._entries[filename] = null;
+    }
+};
+
+OverlayFS.prototype.existsSync = function (filename) {
+    try {
+        return !!this._lookup(this._resolve(filename));
+    } catch (ex) {
+        return false;
+    }
+};
+OverlayFS.prototype.accessSync = function (filename) {
+    filename = this._resolve(filename);
+    if (!this._lookup(filename)) {
+        throwError('ENOENT', 'access', filename);
+    }
+};
+OverlayFS.prototype.statSync = function (filename, options, noFollow) {
+    filename = this._resolve(filename);
+    var entry = this._lookup(filename, noFollow);
+    if (!entry) {
+        if (options && options.throwIfNoEntry === false) {
+            return undefined;
+        }
+        throwError('ENOENT', noFollow ? 'lstat' : 'stat', filename);
+    }
+    return entry.stats || createStats(entry);
+};
+OverlayFS.prototype.lstatSync = function (filename, options) {
+    return this.statSync(filename, options, true);
+};
+OverlayFS.prototype.realpathSync = function (filename) {
+    filename = this._resolve(filename);
+    var entry = this._lookup(filename);
+    if (!entry) {
+        throwError('ENOENT', 'realpath', filename);
+    }
+    return entry.stats ? fs.realpathSync(filename) : filename;
+};
+OverlayFS.prototype.readFileSync = function (filename, options) {
+    filename = this._resolve(filename);
+    var data = this._read(filename, 'open');
+    var encoding = getEncoding(options);
+    return encoding ? data.toString(encoding) : new Buffer(data);
+};
+OverlayFS.prototype.writeFileSync = function (filename, data, options) {
+    filename = this._resolve(filename);
+    if (options && options.flag && options.flag.charAt(0) === 'a') {
+        return this.appendFileSync(filename, data, options);
+    }
+    this._write(filename, toBuffer(data, options), 'open');
+};
+OverlayFS.prototype.appendFileSync = function (filename, data, options) {
+    filename = this._resolve(filename);
+    var entry = this._lookup(filename);
+    var current = entry && entry.type === 'file' ? this._read(filename, 'open') : new Buffer(0);
+    this._write(filename, Buffer.concat([current, toBuffer(data, options)]), 'open');
+};
+OverlayFS.prototype.truncateSync = function (filename, length) {
+    filename = this._resolve(filename);
+    var data = this._read(filename, 'open');
+    var buffer = new Buffer(length || 0);
+    buffer.fill(0);
+    data.copy(buffer, 0, 0, buffer.length);
+    this._write(filename, buffer, 'open');
+};
+OverlayFS.prototype.copyFileSync = function (source, dest, mode) {
+    source = this._resolve(source);
+    dest = this._resolve(dest);
+    var data = this._read(source, 'copyfile');
+    if ((mode & fs.constants.COPYFILE_EXCL) && this._lookup(dest)) {
+        throwError('EEXIST', 'copyfile', dest);
+    }
+    this._write(dest, new Buffer(data), 'copyfile');
+};
+OverlayFS.prototype.readdirSync = function (dirname, options) {
+    var self = this;
+    dirname = self._resolve(dirname);
+    var entry = self._lookup(dirname);
+    if (!entry) {
+        throwError('ENOENT', 'scandir', dirname);
+    }
+    if (entry.type !== 'directory') {
+        throwError('ENOTDIR', 'scandir', dirname);
+    }
+    var names = entry.stats ? fs.readdirSync(dirname) : [];
+    Object.keys(self._entries).forEach(function (v) {
+        if (path.dirname(v) === dirname && v !== dirname && names.indexOf(path.basename(v)) < 0) {
+            names.push(path.basename(v));
+        }
+    });
+    names = names.filter(function (v) {
+        return !!self._lookup(path.join(dirname, v), true);
+    }).sort();
+    if (options && options.withFileTypes) {
+        return names.map(function (v) {
+            return createDirent(v, self._lookup(path.join(dirname, v), true).type === 'directory');
+        });
+    }
+    return names;
+};
+OverlayFS.prototype.mkdirSync = function (dirname, options) {
+    dirname = this._resolve(dirname);
+    var recursive = options && typeof options === 'object' && options.recursive;
+    var entry = this._lookup(dirname);
+    if (entry) {
+        if (recursive && entry.type === 'directory') {
+            return undefined;
+        }
+        throwError('EEXIST', 'mkdir', dirname);
+    }
+    var parent = this._lookup(path.dirname(dirname));
+    var first;
+    if (!parent && recursive) {
+        first = this.mkdirSync(path.dirname(dirname), options);
+    } else if (!parent) {
+        throwError('ENOENT', 'mkdir', dirname);
+    } else if (parent.type !== 'directory') {
+        throwError('ENOTDIR', 'mkdir', dirname);
+    }
+    this._entries[dirname] = {
+        type: 'directory',
+        // directory re-created over a deleted one hides its contents on disk
+        opaque: dirname in this._entries,
+        mode: (typeof options === 'object' ? options && options.mode : options) & 511 || 493,
+        mtime: new Date()
+    };
+    return recursive ? first || dirname : undefined;
+};
+OverlayFS.prototype.rmdirSync = function (dirname, options) {
+    dirname = this._resolve(dirname);
+    var entry = this._lookup(dirname, true);
+    if (!entry) {
+        throwError('ENOENT', 'rmdir', dirname);
+    }
+    if (entry.type !== 'directory') {
+        throwError('ENOTDIR', 'rmdir', dirname);
+    }
+    if (!(options && options.recursive) && this.readdirSync(dirname).length) {
+        throwError('ENOTEMPTY', 'rmdir', dirname);
+    }
+    this._remove(dirname);
+};
+OverlayFS.prototype.rmSync = function (filename, options) {
+    filename = this._resolve(filename);
+    var entry = this._lookup(filename, true);
+    if (!entry) {
+        if (options && options.force) {
+            return;
+        }
+        throwError('ENOENT', 'rm', filename);
+    }
+    if (entry.type === 'directory' && !(options && options.recursive)) {
+        throwError('EISDIR', 'rm', filename);
+    }
+    this._remove(filename);
+};
+OverlayFS.prototype.unlinkSync = function (filename) {
+    filename = this._resolve(filename);
+    var entry = this._lookup(filename, true);
+    if (!entry) {
+        throwError('ENOENT', 'unlink', filename);
+    }
+    if (entry.type === 'directory') {
+        throwError('EISDIR', 'unlink', filename);
+    }
+    this._remove(filename);
+};
+OverlayFS.prototype.renameSync = function (source, dest) {
+    source = this._resolve(source);
+    dest = this._resolve(dest);
+    var entry = this._lookup(source, true);
+    var target = this._lookup(dest, true);
+    var parent = this._lookup(path.dirname(dest));
+    if (!entry || !parent) {
+        throwError('ENOENT', 'rename', source);
+    }
+    if (source === dest) {
+        return;
+    }
+    if (target && target.type === 'directory') {
+        if (entry.type !== 'directory') {
+            throwError('EISDIR', 'rename', dest);
+        }
+        if (this.readdirSync(dest).length) {
+            throwError('ENOTEMPTY', 'rename', dest);
+        }
+    } else if (target && entry.type === 'directory') {
+        throwError('ENOTDIR', 'rename', dest);
+    }
+    if (target) {
+        this._remove(dest);
+    }
+    this._copy(source, dest);
+    this._remove(source);
+};
+OverlayFS.prototype.createReadStream = function (filename, options) {
+    var self = this;
+    var readable = new stream.Readable({
+        read: function () {
+            var data;
+            try {
+                data = self._read(filename, 'open');
+            } catch (ex) {
+                readable.emit('error', ex);
+                return;
+            }
+            var start = (options && options.start) || 0;
+            var end = options && options.end !== undefined ? options.end + 1 : data.length;
+            readable.push(new Buffer(data.slice(start, end)));
+            readable.push(null);
+        }
+    });
+    filename = self._resolve(filename);
+    readable.path = filename;
+    if (getEncoding(options)) {
+        readable.setEncoding(getEncoding(options));
+    }
+    return readable;
+};
+OverlayFS.prototype.createWriteStream = function (filename, options) {
+    var self = this;
+    var flags = (options && options.flags) || 'w';
+    var writable = new stream.Writable({
+        write: function (data, encoding, callback) {
+            try {
+                self.appendFileSync(filename, data instanceof Buffer ? data : new Buffer(data, encoding));
+                writable.bytesWritten += data.length;
+                callback();
+            } catch (ex) {
+                callback(ex);
+            }
+        }
+    });
+    filename = self._resolve(filename);
+    writable.path = filename;
+    writable.bytesWritten = 0;
+    try {
+        // file is created or truncated when the stream is opened
+        if (flags.charAt(0) === 'a') {
+            self.appendFileSync(filename, '');
+        } else {
+            self.writeFileSync(filename, '');
+        }
+    } catch (ex) {
+        process.nextTick(function () {
+            writable.emit('error', ex);
+        });
+    }
+    return writable;
+};
+
+OverlayFS.prototype.isChanged = function (filename) {
+    // whether the file or any of its parent directories is changed in the overlay
+    for (filename = this._resolve(filename); ; filename = path.dirname(filename)) {
+        if (filename in this._entries) {
+            return true;
+        }
+        if (filename === path.dirname(filename)) {
+            return false;
+        }
+    }
+};
+OverlayFS.prototype.apply = function (method, args, promise) {
+    // serves fs methods of synchronous, callback and promise variants
+    var self = this;
+    var name = method.replace(/\.native$/, '').replace(/Sync$/, '');
+    if (OVERLAY_STREAMS.indexOf(name) >= 0) {
+        return self[name].apply(self, args);
+    }
+    var fn = self[name + 'Sync'];
+    if (promise) {
+        return new Promise(function (resolve) {
+            resolve(fn.apply(self, args));
+        });
+    }
+    if (/Sync$/.test(method) || typeof args[args.length - 1] !== 'function') {
+        return fn.apply(self, args);
+    }
+    var callback = args.pop();
+    var result, error = null;
+    try {
+        result = fn.apply(self, args);
+    } catch (ex) {
+        error = ex;
+    }
+    process.nextTick(function () {
+        if (name === 'exists') {
+            callback(result);
+        } else {
+            callback(error, result);
+        }
+    });
+};
+
+OverlayFS.prototype.diff = function () {
+    var self = this;
+    var changes = [];
+    var push = function (filename, type, isDirectory) {
+        changes.push({
+            path: path.relative(self.scope, filename),
+            type: type,
+            directory: isDirectory
+        });
+    };
+    Object.keys(self._entries).sort().forEach(function (filename) {
+        var entry = self._entries[filename];
+        var stats = self._disk(filename, true);
+        if (!entry) {
+            if (stats) {
+                push(filename, 'deleted', stats.isDirectory());
+            }
+        } else if (entry.type === 'directory') {
+            if (!stats || !stats.isDirectory()) {
+                push(filename, stats ? 'modified' : 'added', true);
+            } else if (entry.opaque) {
+                fs.readdirSync(filename).forEach(function (v) {
+                    if (!(path.join(filename, v) in self._entries)) {
+                        push(path.join(filename, v), 'deleted', fs.lstatSync(path.join(filename, v)).isDirectory());
+                    }
+                });
+            }
+        } else if (!stats) {
+            push(filename, 'added', false);
+        } else if (stats.isDirectory() || !entry.data.equals(fs.readFileSync(filename))) {
+            push(filename, 'modified', false);
+        }
+    });
+    return changes;
+};
+OverlayFS.prototype.export = function (dirname) {
+    var self = this;
+    dirname = path.resolve(dirname);
+    self.diff().forEach(function (v) {
+        var filename = path.join(dirname, v.path);
+        if (v.path.split(path.sep)[0] === '..' || path.isAbsolute(v.path)) {
+            // changes outside the sandbox root are not exported
+            return;
+        }
+        if (v.type === 'deleted' || v.type === 'modified') {
+            removeRecursive(filename);
+        }
+        if (v.type !== 'deleted') {
+            makeDirectory(v.directory ? filename : path.dirname(filename));
+            if (!v.directory) {
+                fs.writeFileSync(filename, self._entries[path.join(self.scope, v.path)].data);
+            }
+        }
+    });
+};
+OverlayFS.prototype.discard = function () {
+    this._entries = Object.create(null);
+};
+
+OverlayFS.isSupported = function (method) {
+    var name = method.replace(/\.native$/, '').replace(/Sync$/, '');
+    return OVERLAY_METHODS.indexOf(name) >= 0 || OVERLAY_STREAMS.indexOf(name) >= 0;
+};
+
+module.exports = OverlayFS;
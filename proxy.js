@@ -1,4 +1,5 @@
 /*jshint node:true,newcap:true,regexp:true */
+/*global Reflect */
 
 'use strict';
 
@@ -8,12 +9,18 @@ var vm = require('vm');
 var Map = require('./map');
 var WeakMap = require('./weak-map');
 
+var NativeProxy = global.Proxy;
 var reBeforeDot = /^.*(\.|#)/;
 var noop = function () {};
 var namedFnGen = Object.create(null);
+var liveTargets = new WeakMap();
+var liveInstanceFactories = new WeakMap();
+var liveShadows = new WeakMap();
 var internalAccess;
 
 var KEYWORDS = 'break case class catch const continue debugger default delete do else export extends false finally for function if import in instanceof let new null return super switch this throw true try typeof undefined var void while with yield'.split(' ');
+// reasons of termination by which the exit code defaults to 1
+var FAILURE_REASONS = ['timeout', 'quota', 'error'];
 var DONT_PROXY = vm.runInNewContext('Object.getOwnPropertyNames(this)').filter(function (v) {
     return v.charAt(0).toLowerCase() !== v.charAt(0) && typeof global[v] === 'function' && v !== 'Object';
 }).map(function (v) {
@@ -51,7 +58,8 @@ function dontProxy(obj) {
         return obj === Object || DONT_PROXY.indexOf(obj) >= 0;
     }
     return DONT_PROXY.some(function (v) {
-        return obj instanceof v;
+        // constructors like Proxy have no prototype and cannot be used with instanceof
+        return typeof v.prototype === 'object' && obj instanceof v;
     });
 }
 
@@ -125,6 +133,10 @@ function createNamedObject(name, prototype) {
 
 function createCtorApply(ctor) {
     return function () {
+        if (typeof Reflect !== 'undefined') {
+            // classes like vm.Script cannot be called without new
+            return Reflect.construct(ctor, arguments);
+        }
         var obj = Object.create(ctor.prototype);
         ctor.apply(obj, arguments);
         return obj;
@@ -142,7 +154,8 @@ function createProxy(host, target, options, map) {
             }
             var CtorProxy = host.getProxy(obj.constructor);
             if (CtorProxy) {
-                return new CtorProxy(obj);
+                var factory = liveInstanceFactories.get(CtorProxy);
+                return factory ? factory(obj) : new CtorProxy(obj);
             }
             if (host.context) {
                 return translateNativeObject(obj, global, host.context) || obj;
@@ -153,6 +166,9 @@ function createProxy(host, target, options, map) {
 
     function unwrapObject(obj) {
         if (obj && (typeof obj === 'object' || typeof obj === 'function')) {
+            if (liveTargets.has(obj)) {
+                return liveTargets.get(obj);
+            }
             if (hasOwnProperty(obj, '__proxyTarget__')) {
                 try {
                     internalAccess = true;
@@ -172,15 +188,18 @@ function createProxy(host, target, options, map) {
         if (obj && typeof obj === 'object') {
             // objects that are already proxied or can be handled by existing proxies
             // are handled by the proxy and will not be freezed
-            if (wrapObject(obj) === obj) {
+            if (!host.getProxy(obj) && wrapObject(obj) === obj) {
                 if (Array.isArray(obj)) {
                     map.set(obj, Object.freeze(obj.map(function (v) {
                         return freezeObject(v, map);
                     })));
                 } else if (!dontProxy(obj)) {
-                    Object.preventExtensions(createProxy(host, obj, {
+                    var proxy = createProxy(host, obj, {
                         freeze: true
-                    }, map));
+                    }, map);
+                    if (!host.liveProxy) {
+                        Object.preventExtensions(proxy);
+                    }
                 }
             }
             return host.getProxy(obj) || obj;
@@ -188,9 +207,36 @@ function createProxy(host, target, options, map) {
         return obj;
     }
 
+    function getReceiverTarget(receiver, obj) {
+        // native accessors inherited from a prototype check the brand of their receiver
+        // so they are called on the target of the instance which they are read from
+        var target = unwrapObject(receiver);
+        return target !== receiver && Object.prototype.isPrototypeOf.call(obj, target) ? target : obj;
+    }
+
+    function isDenied(prop) {
+        return (Array.isArray(options.deny) && options.deny.indexOf(prop) >= 0) ||
+            (Array.isArray(options.allow) && options.allow.indexOf(prop) < 0);
+    }
+
+    function throwIfConstructorDenied(name) {
+        // constructors are only checked against the blacklist
+        // as whitelists name the members which are allowed
+        if (Array.isArray(options.deny) && options.deny.indexOf(name) >= 0) {
+            throwEAcces(null, name, 'Function call to %s() is blocked');
+        }
+    }
+
+    function isFrozen(prop) {
+        return options.freeze === true || (Array.isArray(options.freeze) && options.freeze.indexOf(prop) >= 0);
+    }
+
+    function isInterceptedWhenFrozen(prop) {
+        return Array.isArray(options.interceptFrozen) && options.interceptFrozen.indexOf(prop) >= 0;
+    }
+
     function createAssertion(prop, message) {
-        if ((Array.isArray(options.deny) && options.deny.indexOf(prop) >= 0) ||
-            (Array.isArray(options.allow) && options.allow.indexOf(prop) < 0)) {
+        if (isDenied(prop)) {
             return function () {
                 throwEAcces(this, prop, message);
             };
@@ -231,6 +277,7 @@ function createProxy(host, target, options, map) {
                 // called from sandbox with arguments
                 // call original constructor to create new instance
                 // sandbox created instance must be weak-referenced
+                throwIfConstructorDenied(name);
                 var args = slice.apply(null, arguments);
                 if (options.new) {
                     var value = options.new(name, ctorApply, args, undef, undef);
@@ -253,6 +300,29 @@ function createProxy(host, target, options, map) {
         return CtorProxy;
     }
 
+    function callFunction(name, fn, thisArg, argList, argsIn, argsOut) {
+        var context = argsIn(thisArg);
+        var args = argList.map(function (v) {
+            v = argsIn(v);
+            if (typeof v === 'function') {
+                return createNamedFunction(v.name, function () {
+                    host.throwIfTerminated();
+                    var context = argsOut(this);
+                    var args = slice.apply(null, arguments).map(argsOut);
+                    return argsIn(host._invoke(v, context, args));
+                }, argsIn);
+            }
+            return v;
+        });
+        if (options.call) {
+            var value = options.call(name, fn, args, context, undef);
+            if (value !== undefined) {
+                return argsOut(undef.unwrap(value));
+            }
+        }
+        return argsOut(fn.apply(context, args));
+    }
+
     function createFunction(name, fn, argsIn, argsOut) {
         name = name || fn.name;
         var prop = name.replace(reBeforeDot, '');
@@ -260,26 +330,7 @@ function createProxy(host, target, options, map) {
         return createNamedFunction(prop, function () {
             host.throwIfTerminated();
             assert();
-            var context = argsIn(this);
-            var args = slice.apply(null, arguments).map(function (v) {
-                v = argsIn(v);
-                if (typeof v === 'function') {
-                    return createNamedFunction(v.name, function () {
-                        host.throwIfTerminated();
-                        var context = argsOut(this);
-                        var args = slice.apply(null, arguments).map(argsOut);
-                        return argsIn(v.apply(context, args));
-                    }, argsIn);
-                }
-                return v;
-            });
-            if (options.call) {
-                var value = options.call(name, fn, args, context, undef);
-                if (value !== undefined) {
-                    return argsOut(undef.unwrap(value));
-                }
-            }
-            return argsOut(fn.apply(context, args));
+            return callFunction(name, fn, this, slice.apply(null, arguments), argsIn, argsOut);
         }, argsOut);
     }
 
@@ -291,16 +342,26 @@ function createProxy(host, target, options, map) {
         return createFunction(name, fn, wrapObject, unwrapObject);
     }
 
-    function createGetter(name, obj, map) {
+    function createGetter(name, obj, map, isAccessor) {
         var prop = name.replace(reBeforeDot, '');
         var assert = createAssertion(name, 'Access to property %s is blocked');
-        var freeze = options.freeze === true || (Array.isArray(options.freeze) && options.freeze.indexOf(name) >= 0);
+        var freeze = isFrozen(name);
         return createNamedFunction(prop, function () {
             host.throwIfTerminated();
             assert();
-            var value = obj[prop];
+            var target = getReceiverTarget(this, obj);
+            var value = target[prop];
+            if (isAccessor && typeof value === 'function' && !host.getProxy(value)) {
+                // some host functions are exposed by lazy getters, e.g. fs.opendir and
+                // crypto.getRandomValues, which would otherwise escape call interceptors
+                // and the deny list; functions of data properties are wrapped in defineProperty
+                if (!map.has(value)) {
+                    map.set(value, createInFunction(name, value));
+                }
+                return map.get(value);
+            }
             if (options.get) {
-                var nvalue = options.get(name, value, obj, undef);
+                var nvalue = options.get(name, value, target, undef);
                 if (nvalue !== undefined) {
                     value = undef.unwrap(nvalue);
                 }
@@ -315,20 +376,26 @@ function createProxy(host, target, options, map) {
     function createSetter(name, obj, map) {
         var prop = name.replace(reBeforeDot, '');
         var assert = createAssertion(name, 'Access to property %s is blocked');
-        var freeze = options.freeze === true || (Array.isArray(options.freeze) && options.freeze.indexOf(name) >= 0);
+        var freeze = isFrozen(name);
+        var interceptFrozen = freeze && isInterceptedWhenFrozen(name);
         return createNamedFunction(prop, function (value) {
             host.throwIfTerminated();
             assert();
+            var target = getReceiverTarget(this, obj);
+            if (interceptFrozen && options.set) {
+                // values of frozen properties are never written even if intercepted
+                options.set(name, unwrapObject(value), target, undef);
+            }
             if (!freeze) {
                 value = unwrapObject(value);
                 if (options.set) {
-                    var nvalue = options.set(name, value, obj, undef);
+                    var nvalue = options.set(name, value, target, undef);
                     if (nvalue !== undefined) {
-                        obj[prop] = undef.unwrap(nvalue);
+                        target[prop] = undef.unwrap(nvalue);
                         return;
                     }
                 }
-                obj[prop] = value;
+                target[prop] = value;
             }
         }, wrapObject);
     }
@@ -345,7 +412,7 @@ function createProxy(host, target, options, map) {
             });
         } else if (descriptor.get || descriptor.set) {
             Object.defineProperty(proxy, prop, {
-                get: descriptor.get && createGetter(nsprop, target, map),
+                get: descriptor.get && createGetter(nsprop, target, map, true),
                 set: descriptor.set && createSetter(nsprop, target, map),
                 enumerable: descriptor.enumerable
             });
@@ -431,6 +498,277 @@ function createProxy(host, target, options, map) {
         });
     }
 
+    function throwIfDenied(prop, message) {
+        if (isDenied(prop)) {
+            throwEAcces(null, prop, message);
+        }
+    }
+
+    function wrapPrototype(proto, targetMap) {
+        if (!proto || (typeof proto.constructor === 'function' && dontProxy(proto.constructor))) {
+            return proto;
+        }
+        return host.getProxy(proto) || createLiveProxy(proto, '', ((proto.constructor && proto.constructor.name) || '') + '#', targetMap || host._permMap);
+    }
+
+    function createLiveProxy(target, name, ns, targetMap, functionType) {
+        // traps are installed on a shadow object instead of the real target
+        // so that invariants of native Proxy does not force raw values out of the sandbox
+        var shadow = typeof target === 'function' ? function () {} : Array.isArray(target) ? [] : {};
+        var argsIn = functionType === 'out' ? wrapObject : unwrapObject;
+        var argsOut = functionType === 'out' ? unwrapObject : wrapObject;
+        var protoMap = map || host._permMap;
+        var proxy;
+
+        function createInstance(obj) {
+            return host.getProxy(obj) || createLiveProxy(obj, '', name + '#', host._tempMap);
+        }
+
+        function getOwnValue(prop, receiver) {
+            var nsprop = ns + prop;
+            var value = Reflect.get(target, prop, getReceiverTarget(receiver, target));
+            if (typeof value === 'function') {
+                if (prop === 'constructor' || prop.charAt(0).toLowerCase() !== prop.charAt(0)) {
+                    // assume function from a captialized property is a constructor
+                    if (dontProxy(value)) {
+                        return wrapObject(value);
+                    }
+                    return host.getProxy(value) || createLiveProxy(value, value.name || prop, (value.name || prop) + '.', protoMap, 'ctor');
+                }
+                if (!targetMap.has(value)) {
+                    createLiveProxy(value, nsprop, nsprop + '.', targetMap, 'in');
+                }
+                return targetMap.get(value);
+            }
+            throwIfDenied(nsprop, 'Access to property %s is blocked');
+            if (options.get) {
+                var nvalue = options.get(nsprop, value, target, undef);
+                if (nvalue !== undefined) {
+                    value = undef.unwrap(nvalue);
+                }
+            }
+            if (isFrozen(nsprop)) {
+                return freezeObject(value, targetMap);
+            }
+            return wrapObject(value);
+        }
+
+        proxy = new NativeProxy(shadow, {
+            get: function (shadow, prop, receiver) {
+                host.throwIfTerminated();
+                if (typeof prop !== 'string') {
+                    return wrapObject(target[prop]);
+                }
+                if (!hasOwnProperty(target, prop)) {
+                    if (hasOwnProperty(shadow, prop)) {
+                        // members defined by _extend()
+                        return shadow[prop];
+                    }
+                    // inherited members are resolved by the proxy of the owning prototype
+                    // so that they are intercepted by the options of that prototype
+                    var proto = wrapPrototype(Object.getPrototypeOf(target), protoMap);
+                    return proto ? Reflect.get(proto, prop, receiver) : undefined;
+                }
+                return getOwnValue(prop, receiver);
+            },
+            set: function (shadow, prop, value, receiver) {
+                host.throwIfTerminated();
+                if (receiver !== proxy) {
+                    // set value as an own property of the object
+                    // which has this proxy on its prototype chain
+                    Object.defineProperty(receiver, prop, {
+                        value: value,
+                        writable: true,
+                        enumerable: true,
+                        configurable: true
+                    });
+                    return true;
+                }
+                if (typeof prop === 'string') {
+                    var nsprop = ns + prop;
+                    throwIfDenied(nsprop, 'Access to property %s is blocked');
+                    if (isFrozen(nsprop)) {
+                        if (options.set && isInterceptedWhenFrozen(nsprop)) {
+                            options.set(nsprop, unwrapObject(value), target, undef);
+                        }
+                        return true;
+                    }
+                    if (typeof target[prop] === 'function') {
+                        throwEAcces(null, nsprop, 'Writing to property %s is blocked');
+                    }
+                    value = unwrapObject(value);
+                    if (options.set) {
+                        var nvalue = options.set(nsprop, value, target, undef);
+                        if (nvalue !== undefined) {
+                            value = undef.unwrap(nvalue);
+                        }
+                    }
+                } else {
+                    value = unwrapObject(value);
+                }
+                target[prop] = value;
+                return true;
+            },
+            has: function (shadow, prop) {
+                host.throwIfTerminated();
+                return prop in target || hasOwnProperty(shadow, prop);
+            },
+            ownKeys: function (shadow) {
+                host.throwIfTerminated();
+                var keys = Reflect.ownKeys(target).filter(function (v) {
+                    return typeof v !== 'string' || v.substr(0, 9) !== '$weakMap$';
+                });
+                Reflect.ownKeys(shadow).forEach(function (v) {
+                    if (keys.indexOf(v) < 0 && !Reflect.getOwnPropertyDescriptor(shadow, v).configurable) {
+                        keys.push(v);
+                    }
+                });
+                return keys;
+            },
+            getOwnPropertyDescriptor: function (shadow, prop) {
+                host.throwIfTerminated();
+                var descriptor = Reflect.getOwnPropertyDescriptor(target, prop);
+                if (!descriptor) {
+                    descriptor = Reflect.getOwnPropertyDescriptor(shadow, prop);
+                    return descriptor && !descriptor.configurable ? descriptor : undefined;
+                }
+                var result;
+                if (typeof prop === 'string' && isDenied(ns + prop) && typeof descriptor.value !== 'function') {
+                    // denied properties are still enumerable but throw on access
+                    var assert = createAssertion(ns + prop, 'Access to property %s is blocked');
+                    result = {
+                        get: assert,
+                        set: assert,
+                        enumerable: descriptor.enumerable,
+                        configurable: true
+                    };
+                } else {
+                    result = {
+                        value: typeof prop === 'string' ? getOwnValue(prop) : wrapObject(target[prop]),
+                        writable: !!(descriptor.writable || descriptor.set),
+                        enumerable: descriptor.enumerable,
+                        configurable: true
+                    };
+                }
+                if (!descriptor.configurable) {
+                    // non-configurable properties must also exist on the shadow object
+                    result.configurable = false;
+                    Reflect.defineProperty(shadow, prop, result);
+                    return Reflect.getOwnPropertyDescriptor(shadow, prop);
+                }
+                return result;
+            },
+            defineProperty: function (shadow, prop, descriptor) {
+                host.throwIfTerminated();
+                if (typeof prop === 'string') {
+                    throwIfDenied(ns + prop, 'Access to property %s is blocked');
+                    if (isFrozen(ns + prop)) {
+                        return false;
+                    }
+                }
+                var desc = {};
+                ['enumerable', 'configurable', 'writable', 'value', 'get', 'set'].forEach(function (i) {
+                    if (i in descriptor) {
+                        desc[i] = unwrapObject(descriptor[i]);
+                    }
+                });
+                if (!Reflect.defineProperty(target, prop, desc)) {
+                    return false;
+                }
+                if (descriptor.configurable === false) {
+                    Reflect.defineProperty(shadow, prop, descriptor);
+                }
+                return true;
+            },
+            deleteProperty: function (shadow, prop) {
+                host.throwIfTerminated();
+                if (typeof prop === 'string') {
+                    throwIfDenied(ns + prop, 'Access to property %s is blocked');
+                    if (isFrozen(ns + prop)) {
+                        return false;
+                    }
+                }
+                return Reflect.deleteProperty(target, prop);
+            },
+            getPrototypeOf: function () {
+                return wrapPrototype(Object.getPrototypeOf(target), protoMap);
+            },
+            setPrototypeOf: function () {
+                return false;
+            },
+            isExtensible: function (shadow) {
+                return Reflect.isExtensible(shadow);
+            },
+            preventExtensions: function () {
+                return false;
+            },
+            apply: function (shadow, thisArg, args) {
+                try {
+                    host.throwIfTerminated();
+                    throwIfDenied(name, 'Function call to %s() is blocked');
+                    return callFunction(name, target, thisArg, args, argsIn, argsOut);
+                } catch (ex) {
+                    throw argsOut(ex) || ex;
+                }
+            },
+            construct: function (shadow, args) {
+                try {
+                    host.throwIfTerminated();
+                    throwIfConstructorDenied(name);
+                    args = args.map(unwrapObject);
+                    if (options.new) {
+                        var value = options.new(name, function () {
+                            return Reflect.construct(target, slice.apply(null, arguments));
+                        }, args, undef, undef);
+                        if (value !== undefined) {
+                            return wrapObject(undef.unwrap(value));
+                        }
+                    }
+                    return createInstance(Reflect.construct(target, args));
+                } catch (ex) {
+                    throw wrapObject(ex) || ex;
+                }
+            }
+        });
+        targetMap.set(target, proxy);
+        liveTargets.set(proxy, target);
+        liveShadows.set(proxy, shadow);
+        if (functionType === 'ctor') {
+            liveInstanceFactories.set(proxy, createInstance);
+            if (target.prototype && !host.getProxy(target.prototype)) {
+                createLiveProxy(target.prototype, '', name + '#', protoMap);
+            }
+        }
+        return proxy;
+    }
+
+    if (host.liveProxy) {
+        if (typeof target === 'function') {
+            if (options.functionType === 'ctor' || target.name.charAt(0).toLowerCase() !== target.name.charAt(0)) {
+                if (dontProxy(target)) {
+                    throw new TypeError('Constructor \'' + target.name + '\' cannot be proxied');
+                }
+                return createLiveProxy(target, target.name || options.name || '', (target.name || options.name || '') + '.', map || host._permMap, 'ctor');
+            }
+            return createLiveProxy(target, options.name || target.name, (options.name || target.name) + '.', map || host._tempMap, options.functionType === 'out' ? 'out' : 'in');
+        }
+        if (typeof target === 'object' && target) {
+            if (dontProxy(target)) {
+                throw new TypeError('Object of \'' + target.constructor.name + '\' cannot be proxied');
+            }
+            // constructors are proxied up front as they are without live proxies,
+            // so that instances exposed by other properties like https.globalAgent are not returned raw
+            Object.getOwnPropertyNames(target).forEach(function (prop) {
+                var value = (Object.getOwnPropertyDescriptor(target, prop) || {}).value;
+                if (typeof value === 'function' && prop.charAt(0).toLowerCase() !== prop.charAt(0) && !dontProxy(value) && !host.getProxy(value)) {
+                    createLiveProxy(value, value.name || prop, (value.name || prop) + '.', map || host._permMap, 'ctor');
+                }
+            });
+            return createLiveProxy(target, options.name || '', '', map || host._tempMap);
+        }
+        throw new TypeError('Primitive value cannot be proxied');
+    }
+
     if (typeof target === 'function') {
         if (options.functionType === 'ctor' || target.name.charAt(0).toLowerCase() !== target.name.charAt(0)) {
             return createCtorFunction(target, options.name, map);
@@ -449,13 +787,22 @@ function createProxy(host, target, options, map) {
     throw new TypeError('Primitive value cannot be proxied');
 }
 
-function Proxy() {
+function Proxy(options) {
     EventEmitter.call(this);
+    options = options || {};
+    if (options.liveProxy && typeof NativeProxy !== 'function') {
+        throw new Error('Live proxy requires native Proxy support');
+    }
+    this.liveProxy = !!options.liveProxy;
     this._permMap = new Map();
     this._tempMap = new WeakMap();
 }
 util.inherits(Proxy, EventEmitter);
 
+Proxy.isProxy = function (obj) {
+    return !!obj && (typeof obj === 'object' || typeof obj === 'function') && (liveTargets.has(obj) || hasOwnProperty(obj, '__proxyTarget__'));
+};
+
 Proxy.prototype.proxy = function (obj, options) {
     return this.getProxy(obj) || createProxy(this, obj, options);
 };
@@ -471,18 +818,55 @@ Proxy.prototype.isWeaklyProxied = function (obj) {
 Proxy.prototype.getProxy = function (obj) {
     return this._permMap.get(obj) || this._tempMap.get(obj);
 };
+// defines members on the proxy of obj that do not exist on obj itself
+// values are exposed to sandbox as-is so they must be created inside the sandbox
+Proxy.prototype._extend = function (obj, members) {
+    var proxy = this.getProxy(obj);
+    var shadow = liveShadows.get(proxy) || proxy;
+    Object.keys(members).forEach(function (i) {
+        Object.defineProperty(shadow, i, {
+            value: members[i]
+        });
+    });
+};
+Proxy.prototype._invoke = function (fn, thisArg, args) {
+    return fn.apply(thisArg, args);
+};
 Proxy.prototype.throwIfTerminated = function () {
     if (this.terminated) {
         throw new Error('proxy terminated');
     }
 };
+// terminate() called by listeners of the event is reported with the given reason
+Proxy.prototype._emitWithReason = function (reason) {
+    var previous = this._terminateReason;
+    this._terminateReason = reason;
+    try {
+        return this.emit.apply(this, Array.prototype.slice.call(arguments, 1));
+    } finally {
+        this._terminateReason = previous;
+    }
+};
 Proxy.prototype.terminate = function () {
+    this._terminate(this._terminateReason || 'host');
+};
+// exitCode is the code set by sandbox, if any
+Proxy.prototype._terminate = function (reason, exitCode) {
+    if (this.terminated) {
+        return;
+    }
     Object.defineProperty(this, 'terminated', {
         value: true
     });
     this._permMap.clear();
     this._tempMap = new WeakMap();
-    this.emit('terminate');
+    this.emit('terminate', {
+        reason: reason,
+        code: Proxy.getExitCode(reason, exitCode)
+    });
+};
+Proxy.getExitCode = function (reason, exitCode) {
+    return exitCode !== undefined && exitCode !== null ? +exitCode | 0 : FAILURE_REASONS.indexOf(reason) >= 0 ? 1 : 0;
 };
 
 module.exports = Proxy;
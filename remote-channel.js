@@ -0,0 +1,170 @@
+/*jshint node:true */
+/*global Promise */
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var v8 = require('v8');
+
+function encodeError(err) {
+    // errors from sandbox are not instances of Object of the host
+    if (!err || (typeof err !== 'object' && typeof err !== 'function')) {
+        return {
+            message: String(err)
+        };
+    }
+    return {
+        name: err.name,
+        message: err.message,
+        code: err.code,
+        stack: err.stack,
+        sandboxFrames: err.sandboxFrames
+    };
+}
+
+function decodeError(obj) {
+    var err = new Error(obj.message);
+    if (obj.name && obj.name !== 'Error') {
+        Object.defineProperty(err, 'name', {
+            value: obj.name,
+            writable: true,
+            configurable: true
+        });
+    }
+    if (obj.code !== undefined) {
+        err.code = obj.code;
+    }
+    if (obj.stack) {
+        err.stack = obj.stack;
+    }
+    if (obj.sandboxFrames) {
+        Object.defineProperty(err, 'sandboxFrames', {
+            value: obj.sandboxFrames,
+            writable: true,
+            configurable: true
+        });
+    }
+    return err;
+}
+
+function encodeValue(value, findRef) {
+    if (typeof value === 'function' && !(findRef && findRef(value))) {
+        throw new TypeError('Function cannot be passed across isolated runspace');
+    }
+    if (value && (typeof value === 'object' || typeof value === 'function')) {
+        var ref = findRef && findRef(value);
+        if (ref) {
+            return ref;
+        }
+        if (typeof value.toJSON === 'function') {
+            return encodeValue(value.toJSON(), findRef);
+        }
+        if (Array.isArray(value)) {
+            return value.map(function (v) {
+                return encodeValue(v, findRef);
+            });
+        }
+        var obj = {};
+        Object.keys(value).forEach(function (i) {
+            if (value[i] !== undefined) {
+                obj[i] = encodeValue(value[i], findRef);
+            }
+        });
+        return obj;
+    }
+    return value;
+}
+
+function decodeValue(value, resolveRef) {
+    if (value && typeof value === 'object') {
+        if (value.__runspaceRef__ !== undefined) {
+            return resolveRef(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(function (v) {
+                return decodeValue(v, resolveRef);
+            });
+        }
+        Object.keys(value).forEach(function (i) {
+            value[i] = decodeValue(value[i], resolveRef);
+        });
+    }
+    return value;
+}
+
+// values copied with structured clone semantics, i.e. messages and arguments of RPC calls
+function serializeValue(value) {
+    return v8.serialize(value).toString('base64');
+}
+
+function deserializeValue(data) {
+    return v8.deserialize(new Buffer(data, 'base64'));
+}
+
+function RemoteChannel(post) {
+    EventEmitter.call(this);
+    this._post = post;
+    this._nextId = 0;
+    this._pending = Object.create(null);
+}
+util.inherits(RemoteChannel, EventEmitter);
+
+RemoteChannel.prototype.post = function (type, message) {
+    message = message || {};
+    message.type = type;
+    this._post(message);
+};
+RemoteChannel.prototype.request = function (type, message) {
+    var self = this;
+    return new Promise(function (resolve, reject) {
+        var requestId = ++self._nextId;
+        self._pending[requestId] = {
+            resolve: resolve,
+            reject: reject
+        };
+        message = message || {};
+        message.requestId = requestId;
+        self.post(type, message);
+    });
+};
+RemoteChannel.prototype.receive = function (message) {
+    var self = this;
+    if (message.type === 'reply') {
+        var callback = self._pending[message.requestId];
+        delete self._pending[message.requestId];
+        if (callback) {
+            if (message.error) {
+                callback.reject(decodeError(message.error));
+            } else {
+                callback.resolve(message.value);
+            }
+        }
+        return;
+    }
+    self.emit(message.type, message, function (err, value) {
+        if (message.requestId) {
+            self.post('reply', {
+                requestId: message.requestId,
+                error: err ? encodeError(err) : undefined,
+                value: value
+            });
+        }
+    });
+};
+RemoteChannel.prototype.close = function (err) {
+    var pending = this._pending;
+    this._pending = Object.create(null);
+    Object.keys(pending).forEach(function (i) {
+        pending[i].reject(err);
+    });
+};
+
+RemoteChannel.encodeError = encodeError;
+RemoteChannel.decodeError = decodeError;
+RemoteChannel.encodeValue = encodeValue;
+RemoteChannel.decodeValue = decodeValue;
+RemoteChannel.serializeValue = serializeValue;
+RemoteChannel.deserializeValue = deserializeValue;
+
+module.exports = RemoteChannel;
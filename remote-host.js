@@ -0,0 +1,191 @@
+/*jshint node:true */
+/*global Promise */
+
+// entry script of isolated runspaces
+// hosts a Runspace inside a forked process or worker thread
+// and serves requests from RemoteRunspace on the host side
+
+'use strict';
+
+var Map = require('./map');
+var RemoteChannel = require('./remote-channel');
+var Runspace = require('./runspace');
+
+var parentPort = null;
+try {
+    parentPort = require('worker_threads').parentPort;
+} catch (ex) {
+    // worker_threads not supported
+}
+
+var channel = new RemoteChannel(function (message) {
+    if (parentPort) {
+        parentPort.postMessage(message);
+    } else if (process.connected) {
+        process.send(message);
+    }
+});
+var runspace;
+var scripts = [];
+var stubs = Object.create(null);
+var stubRefs = new Map();
+
+function encode(value) {
+    return RemoteChannel.encodeValue(value, function (obj) {
+        return stubRefs.get(obj);
+    });
+}
+
+function decode(value) {
+    return RemoteChannel.decodeValue(value, function (ref) {
+        var id = ref.__runspaceRef__;
+        if (!stubs[id]) {
+            var call = function (method, args) {
+                return channel.request('call', {
+                    ref: id,
+                    method: method,
+                    args: encode(args)
+                }).then(decode);
+            };
+            var stub = ref.callable ? function () {
+                return call(null, Array.prototype.slice.call(arguments));
+            } : {};
+            ref.methods.forEach(function (i) {
+                stub[i] = function () {
+                    return call(i, Array.prototype.slice.call(arguments));
+                };
+            });
+            Object.keys(ref.values).forEach(function (i) {
+                stub[i] = decode(ref.values[i]);
+            });
+            stubs[id] = runspace.add(stub);
+            stubRefs.set(stub, {
+                __runspaceRef__: id
+            });
+        }
+        return stubs[id];
+    });
+}
+
+function pipe(readable, type) {
+    readable.on('data', function (data) {
+        channel.post(type, {
+            data: data.toString('base64')
+        });
+    });
+}
+
+channel.on('init', function (message) {
+    runspace = new Runspace(message.scope, message.options);
+    runspace.on('message', function (message) {
+        channel.post('message', {
+            data: RemoteChannel.serializeValue(message)
+        });
+    });
+    runspace.once('terminate', function (event) {
+        // termination by sandbox itself, like process.exit(), is reported to the host
+        // after replies to the request that caused it
+        process.nextTick(function () {
+            channel.post('terminated', event);
+        });
+    });
+    runspace.on('error', function (err) {
+        channel.post('sandboxError', {
+            error: RemoteChannel.encodeError(err)
+        });
+    });
+    runspace.on('resource', function (event) {
+        channel.post('resource', {
+            event: event
+        });
+    });
+    runspace.on('idle', function () {
+        channel.post('idle');
+    });
+    runspace.on('limit', function (event) {
+        channel.post('limit', {
+            event: event
+        });
+    });
+    runspace.on('unhandledRejection', function (reason) {
+        channel.post('unhandledRejection', {
+            error: RemoteChannel.encodeError(reason)
+        });
+    });
+    pipe(runspace.stdout, 'stdout');
+    pipe(runspace.stderr, 'stderr');
+});
+channel.on('compile', function (message, reply) {
+    try {
+        reply(null, scripts.push(runspace.compile(message.code, message.filename)) - 1);
+    } catch (ex) {
+        reply(ex);
+    }
+});
+channel.on('run', function (message, reply) {
+    try {
+        var script = message.code !== undefined ? runspace.compile(message.code, message.filename) : scripts[message.scriptId];
+        reply(null, encode(script.run(decode(message.globals), message.options)));
+    } catch (ex) {
+        reply(ex);
+    }
+});
+channel.on('runAsync', function (message, reply) {
+    new Promise(function (resolve) {
+        resolve(runspace.runAsync(message.code, message.filename, decode(message.globals), message.options));
+    }).then(function (value) {
+        reply(null, {
+            result: encode(value.result),
+            idle: value.idle
+        });
+    }, reply);
+});
+channel.on('whenIdle', function (message, reply) {
+    runspace.whenIdle().then(function () {
+        reply(null);
+    });
+});
+channel.on('defineModule', function (message) {
+    runspace.defineModule(message.id, decode(message.exports));
+});
+channel.on('send', function (message) {
+    runspace.send(RemoteChannel.deserializeValue(message.data));
+});
+channel.on('handle', function (message) {
+    // handlers of the host are called through the channel
+    runspace.handle(message.name, function () {
+        return channel.request('rpc', {
+            name: message.name,
+            data: RemoteChannel.serializeValue(Array.prototype.slice.call(arguments))
+        }).then(RemoteChannel.deserializeValue);
+    });
+});
+channel.on('rpc', function (message, reply) {
+    runspace.rpc.apply(runspace, [message.name].concat(RemoteChannel.deserializeValue(message.data))).then(function (value) {
+        reply(null, RemoteChannel.serializeValue(value));
+    }, reply);
+});
+channel.on('getResourceUsage', function (message, reply) {
+    try {
+        reply(null, runspace.getResourceUsage());
+    } catch (ex) {
+        reply(ex);
+    }
+});
+channel.on('stdin', function (message) {
+    runspace.stdin.write(new Buffer(message.data, 'base64'));
+});
+channel.on('exit', function (message) {
+    runspace._exit(message.reason, {
+        graceful: true,
+        timeout: message.timeout
+    });
+});
+channel.on('terminate', function () {
+    runspace.terminate();
+    process.exit(0);
+});
+
+(parentPort || process).on('message', function (message) {
+    channel.receive(message);
+});
@@ -0,0 +1,469 @@
+/*jshint node:true */
+/*global Promise */
+
+'use strict';
+
+var childProcess = require('child_process');
+var path = require('path');
+var stream = require('stream');
+var util = require('util');
+
+var Proxy = require('./proxy');
+var Map = require('./map');
+var RemoteChannel = require('./remote-channel');
+var cloneValue = require('./structured-clone');
+
+var HOST_SCRIPT = path.join(__dirname, 'remote-host.js');
+
+function getExecArgv(limits) {
+    var execArgv = [];
+    if (limits.maxOldGenerationSizeMb) {
+        execArgv.push('--max-old-space-size=' + limits.maxOldGenerationSizeMb);
+    }
+    if (limits.maxYoungGenerationSizeMb) {
+        execArgv.push('--max-semi-space-size=' + limits.maxYoungGenerationSizeMb);
+    }
+    if (limits.stackSizeMb) {
+        execArgv.push('--stack-size=' + limits.stackSizeMb * 1024);
+    }
+    return execArgv;
+}
+
+// returns the path of the first function found in value, which cannot be posted to the child
+function findFunction(value, name, seen) {
+    if (typeof value === 'function') {
+        return name;
+    }
+    if (!value || typeof value !== 'object' || seen.indexOf(value) >= 0) {
+        return null;
+    }
+    seen.push(value);
+    var keys = Object.keys(value);
+    for (var i = 0; i < keys.length; i++) {
+        var found = findFunction(value[keys[i]], name + '.' + keys[i], seen);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+// nested objects are described by register() so that they are also proxied over the channel
+function describeMembers(obj, register) {
+    var names = [];
+    var methods = [];
+    var values = {};
+    for (var o = obj; o && o !== Object.prototype && o !== Function.prototype; o = Object.getPrototypeOf(o)) {
+        names.push.apply(names, Object.getOwnPropertyNames(o));
+    }
+    names.forEach(function (i) {
+        if (i === 'constructor' || i === '__proxyTarget__' || methods.indexOf(i) >= 0 || i in values) {
+            return;
+        }
+        var value;
+        try {
+            value = obj[i];
+        } catch (ex) {
+            // skip properties that are blocked from access
+            return;
+        }
+        if (typeof value === 'function') {
+            methods.push(i);
+        } else if (value === null || typeof value !== 'object') {
+            values[i] = value;
+        } else {
+            values[i] = register(value, i);
+        }
+    });
+    return {
+        methods: methods,
+        values: values
+    };
+}
+
+function RemoteRunspace(scope, options) {
+    Proxy.call(this, {
+        liveProxy: options.liveProxy
+    });
+
+    var self = this;
+    var refs = new Map();
+    var objects = Object.create(null);
+    var nextRefId = 0;
+    var childOptions = {};
+    var post, kill;
+    var abandoned = false;
+
+    if (options.transforms) {
+        // transforms are called synchronously when modules are loaded in the child
+        throw new TypeError('Source transforms are not supported with isolation');
+    }
+
+    self.scope = path.resolve(scope);
+    self.exitTimeout = options.exitTimeout !== undefined ? options.exitTimeout : 1000;
+    self._handlers = Object.create(null);
+    self._exiting = null;
+    self.isolation = options.isolation;
+    self.stdout = new stream.PassThrough();
+    self.stderr = new stream.PassThrough();
+    self.stdin = new stream.Writable({
+        write: function (data, encoding, callback) {
+            if (!(data instanceof Buffer)) {
+                data = new Buffer(data, encoding);
+            }
+            if (!self.terminated) {
+                self._channel.post('stdin', {
+                    data: data.toString('base64')
+                });
+            }
+            callback();
+        }
+    });
+
+    Object.keys(options).forEach(function (i) {
+        if (i !== 'isolation' && i !== 'resourceLimits' && i !== 'modules' && i !== 'terminateOnIdle') {
+            childOptions[i] = options[i];
+        }
+    });
+    // checked before the child is started so that it is not left running
+    var fnOption = findFunction(childOptions, 'options', []);
+    if (fnOption) {
+        throw new TypeError(util.format('Function in %s is not supported with isolation', fnOption));
+    }
+
+    function onExit(code, signal) {
+        if (!self.terminated && !abandoned) {
+            var err = new Error(util.format('Isolated runspace exited unexpectedly with code %s', code === null ? signal : code));
+            err.code = 'ERR_RUNSPACE_EXITED';
+            self.emit('error', err);
+            self._terminate('error', code);
+        }
+    }
+
+    if (options.isolation === 'worker') {
+        var Worker;
+        try {
+            Worker = require('worker_threads').Worker;
+        } catch (ex) {
+            throw new Error('Worker isolation requires worker_threads support');
+        }
+        var worker = new Worker(HOST_SCRIPT, {
+            resourceLimits: options.resourceLimits
+        });
+        worker.on('message', function (message) {
+            self._channel.receive(message);
+        });
+        worker.on('error', function (err) {
+            self.emit('error', err);
+        });
+        worker.on('exit', onExit);
+        post = function (message) {
+            worker.postMessage(message);
+        };
+        kill = function () {
+            worker.terminate();
+        };
+    } else if (options.isolation === 'process') {
+        var child = childProcess.fork(HOST_SCRIPT, [], {
+            execArgv: getExecArgv(options.resourceLimits || {})
+        });
+        child.on('message', function (message) {
+            self._channel.receive(message);
+        });
+        child.on('error', function (err) {
+            self.emit('error', err);
+        });
+        child.on('exit', onExit);
+        post = function (message) {
+            if (child.connected) {
+                child.send(message);
+            }
+        };
+        kill = function () {
+            child.kill();
+        };
+    } else {
+        throw new TypeError(util.format('Unknown isolation \'%s\'', options.isolation));
+    }
+
+    self._channel = new RemoteChannel(post);
+    self._encode = function (value) {
+        return RemoteChannel.encodeValue(value, function (obj) {
+            return refs.get(self.getProxy(obj) || obj);
+        });
+    };
+    self._decode = function (value) {
+        return RemoteChannel.decodeValue(value, function (ref) {
+            return objects[ref.__runspaceRef__] && objects[ref.__runspaceRef__].target;
+        });
+    };
+    self._register = function (obj, proxy, ancestors, path) {
+        ancestors = ancestors || [];
+        if (!refs.has(proxy)) {
+            var members = describeMembers(proxy, function (value, name) {
+                var valuePath = path ? path + '.' + name : name;
+                if (ancestors.indexOf(value) >= 0 || value === proxy) {
+                    throw new TypeError(util.format('Circular reference at \'%s\' cannot be passed across isolated runspace', valuePath));
+                }
+                // the proxy of a nested object is called in place of its target
+                self._register(value, value, ancestors.concat(proxy), valuePath);
+                return refs.get(value);
+            });
+            var ref = {
+                __runspaceRef__: ++nextRefId,
+                callable: typeof proxy === 'function',
+                methods: members.methods,
+                values: members.values
+            };
+            refs.set(proxy, ref);
+            objects[ref.__runspaceRef__] = {
+                proxy: proxy,
+                target: obj
+            };
+        }
+        return proxy;
+    };
+
+    self._channel.on('message', function (message) {
+        self.emit('message', RemoteChannel.deserializeValue(message.data));
+    });
+    self._channel.on('sandboxError', function (message) {
+        self._emitWithReason('error', 'error', RemoteChannel.decodeError(message.error));
+    });
+    self._channel.on('unhandledRejection', function (message) {
+        // the rejected promise is not available outside the child
+        self._emitWithReason('error', self.listenerCount('unhandledRejection') ? 'unhandledRejection' : 'error', RemoteChannel.decodeError(message.error));
+    });
+    self._channel.on('terminated', function (message) {
+        self._terminate(message.reason, message.code);
+    });
+    self._channel.on('rpc', function (message, reply) {
+        new Promise(function (resolve) {
+            var fn = self._handlers[message.name];
+            resolve(fn.apply(null, RemoteChannel.deserializeValue(message.data)));
+        }).then(function (value) {
+            reply(null, RemoteChannel.serializeValue(cloneValue(value)));
+        }).then(null, reply);
+    });
+    self._channel.on('resource', function (message) {
+        self.emit('resource', message.event);
+    });
+    self._channel.on('idle', function () {
+        // terminated from the host side so that the child is also stopped
+        self.emit('idle');
+        if (options.terminateOnIdle) {
+            self._terminate('idle');
+        }
+    });
+    self._channel.on('limit', function (message) {
+        self._emitWithReason('quota', 'limit', message.event);
+    });
+    self._channel.on('stdout', function (message) {
+        self.stdout.write(new Buffer(message.data, 'base64'));
+    });
+    self._channel.on('stderr', function (message) {
+        self.stderr.write(new Buffer(message.data, 'base64'));
+    });
+    self._channel.on('call', function (message, reply) {
+        var entry = objects[message.ref];
+        new Promise(function (resolve) {
+            if (!entry) {
+                throw new Error('Object is no longer available');
+            }
+            var proxy = entry.proxy;
+            var fn = message.method ? proxy[message.method] : proxy;
+            resolve(fn.apply(proxy, self._decode(message.args)));
+        }).then(function (value) {
+            reply(null, self._encode(value));
+        }, reply);
+    });
+
+    self.once('terminate', function () {
+        var err = new Error('proxy terminated');
+        err.code = 'ERR_RUNSPACE_TERMINATED';
+        self._channel.close(err);
+        self._channel.post('terminate');
+        setTimeout(kill, 1000).unref();
+        self.stdout.end();
+        self.stderr.end();
+    });
+    try {
+        self._channel.post('init', {
+            scope: self.scope,
+            options: childOptions
+        });
+    } catch (ex) {
+        // the runspace is not returned, so the exit of the child is not reported
+        abandoned = true;
+        kill();
+        throw ex;
+    }
+    Object.keys(options.modules || {}).forEach(function (i) {
+        self.defineModule(i, options.modules[i]);
+    });
+}
+util.inherits(RemoteRunspace, Proxy);
+
+RemoteRunspace.prototype.proxy = function (obj, options) {
+    return this._register(obj, Proxy.prototype.proxy.call(this, obj, options));
+};
+RemoteRunspace.prototype.weakProxy = function (obj, options) {
+    return this._register(obj, Proxy.prototype.weakProxy.call(this, obj, options));
+};
+RemoteRunspace.prototype.add = function (obj, options) {
+    return this._register(obj, Proxy.prototype.add.call(this, obj, options));
+};
+RemoteRunspace.prototype.defineModule = function (id, exportsOrFactory, proxyOptions) {
+    // factories are called immediately as the module is required in the child
+    var exports = typeof exportsOrFactory === 'function' ? exportsOrFactory() : exportsOrFactory;
+    this.throwIfTerminated();
+    if (exports && typeof exports === 'object') {
+        exports = this.add(exports, proxyOptions);
+    }
+    this._channel.post('defineModule', {
+        id: id,
+        exports: this._encode(exports)
+    });
+};
+// messages are cloned first so that errors are the same as without isolation,
+// transferred buffers are copied
+RemoteRunspace.prototype.send = function (message) {
+    this.throwIfTerminated();
+    this._channel.post('send', {
+        data: RemoteChannel.serializeValue(cloneValue(message))
+    });
+};
+// with the graceful option, returns a promise resolved when terminated
+RemoteRunspace.prototype.terminate = function (options) {
+    var self = this;
+    var reason = self._terminateReason || 'host';
+    if (!options || !options.graceful) {
+        self._terminate(reason);
+        return;
+    }
+    if (self.terminated) {
+        return Promise.resolve();
+    }
+    if (!self._exiting) {
+        // the child reports back when terminated, unless it does not respond in time
+        var timeout = options.timeout !== undefined ? options.timeout : self.exitTimeout;
+        var timer = setTimeout(function () {
+            self._terminate(reason);
+        }, timeout + 1000);
+        self._exiting = new Promise(function (resolve) {
+            self.once('terminate', function () {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+        self._channel.post('exit', {
+            reason: reason,
+            timeout: options.timeout
+        });
+    }
+    return self._exiting;
+};
+RemoteRunspace.prototype.getResourceUsage = function () {
+    var self = this;
+    return new Promise(function (resolve) {
+        self.throwIfTerminated();
+        resolve(self._channel.request('getResourceUsage'));
+    });
+};
+RemoteRunspace.prototype.handle = function (name, fn) {
+    this.throwIfTerminated();
+    if (typeof fn !== 'function') {
+        throw new TypeError('handler must be a function');
+    }
+    // the child calls back through the channel only for names that have handlers
+    name = String(name);
+    this._handlers[name] = fn;
+    this._channel.post('handle', {
+        name: name
+    });
+};
+RemoteRunspace.prototype.rpc = function (name) {
+    var self = this;
+    var args = Array.prototype.slice.call(arguments, 1);
+    return new Promise(function (resolve) {
+        self.throwIfTerminated();
+        resolve(self._channel.request('rpc', {
+            name: String(name),
+            data: RemoteChannel.serializeValue(cloneValue(args))
+        }));
+    }).then(RemoteChannel.deserializeValue);
+};
+RemoteRunspace.prototype.run = function (code, filename, localVars, options) {
+    if (typeof filename === 'object') {
+        options = localVars;
+        localVars = filename;
+        filename = undefined;
+    }
+    var self = this;
+    return new Promise(function (resolve) {
+        // code is sent along with the run request so that
+        // the order with subsequent messages to sandbox is retained
+        self.throwIfTerminated();
+        resolve(self._channel.request('run', {
+            code: code,
+            filename: filename,
+            globals: self._encode(localVars || {}),
+            options: options
+        }));
+    }).then(self._decode);
+};
+RemoteRunspace.prototype.runAsync = function (code, filename, localVars, options) {
+    if (typeof filename === 'object') {
+        options = localVars;
+        localVars = filename;
+        filename = undefined;
+    }
+    var self = this;
+    return new Promise(function (resolve) {
+        self.throwIfTerminated();
+        resolve(self._channel.request('runAsync', {
+            code: code,
+            filename: filename,
+            globals: self._encode(localVars || {}),
+            options: options
+        }));
+    }).then(function (value) {
+        return {
+            result: self._decode(value.result),
+            idle: value.idle
+        };
+    });
+};
+RemoteRunspace.prototype.whenIdle = function () {
+    var self = this;
+    if (self.terminated) {
+        return Promise.resolve();
+    }
+    // pending requests are rejected when terminated
+    return self._channel.request('whenIdle').then(null, function () {});
+};
+RemoteRunspace.prototype.compile = function (code, filename) {
+    var self = this;
+    self.throwIfTerminated();
+    var compiled = self._channel.request('compile', {
+        code: code,
+        filename: filename
+    });
+    // compile errors are reported when the script is run
+    compiled.catch(function () {});
+
+    return {
+        run: function (localVars, options) {
+            return compiled.then(function (scriptId) {
+                self.throwIfTerminated();
+                return self._channel.request('run', {
+                    scriptId: scriptId,
+                    globals: self._encode(localVars || {}),
+                    options: options
+                });
+            }).then(self._decode);
+        }
+    };
+};
+
+module.exports = RemoteRunspace;
@@ -0,0 +1,52 @@
+/*jshint node:true */
+
+'use strict';
+
+var Map = require('./map');
+
+// keeps resources held by sandbox grouped by category, like 'timers' and 'sockets'
+// details are described on demand as some of them, like addresses of sockets, change over time
+function ResourceTracker(onChange) {
+    this.resources = new Map();
+    this._onChange = onChange;
+}
+
+ResourceTracker.prototype.add = function (category, resource, describe) {
+    if (!this.resources.has(resource)) {
+        this.resources.set(resource, {
+            category: category,
+            describe: describe
+        });
+        this._onChange('allocate', category, describe());
+    }
+};
+ResourceTracker.prototype.remove = function (resource) {
+    var entry = this.resources.get(resource);
+    if (entry) {
+        this.resources.delete(resource);
+        this._onChange('release', entry.category, entry.describe());
+    }
+};
+ResourceTracker.prototype.list = function (category) {
+    var result = [];
+    this.resources.forEach(function (entry) {
+        if (entry.category === category) {
+            result.push(entry.describe());
+        }
+    });
+    return result;
+};
+ResourceTracker.prototype.count = function (category) {
+    var count = 0;
+    this.resources.forEach(function (entry) {
+        if (entry.category === category) {
+            count++;
+        }
+    });
+    return count;
+};
+ResourceTracker.prototype.clear = function () {
+    this.resources.clear();
+};
+
+module.exports = ResourceTracker;
@@ -1,10 +1,13 @@
 /*jshint node:true,newcap:true,regexp:true */
+/*global AbortController, Promise */
 
 'use strict';
 
+var asyncHooks = require('async_hooks');
 var domain = require('domain');
 var EventEmitter = require('events').EventEmitter;
 var fs = require('fs');
+var os = require('os');
 var path = require('path');
 var stream = require('stream');
 var timers = require('timers');
@@ -12,18 +15,65 @@ var util = require('util');
 var vm = require('vm');
 
 var ModuleLoader = require('./module-loader');
+var FsPolicy = require('./fs-policy');
+var NetPolicy = require('./net-policy');
+var OverlayFS = require('./overlay-fs');
+var StackPolicy = require('./stack-policy');
+var cloneValue = require('./structured-clone');
 var EventManager = require('./event-manager');
 var Proxy = require('./proxy');
+var ResourceTracker = require('./resource-tracker');
+var RemoteRunspace = require('./remote-runspace');
 var Map = require('./map');
 var WeakMap = require('./weak-map');
+var createWorkerThreads = require('./worker-threads');
 
 var setTimeoutCtor = setTimeout(function () {}).constructor;
 var setImmediateCtor = setImmediate(function () {}).constructor;
 
-var GLOBALS = {
-    get console() {
-        return console;
+// a private context for running host functions under vm's watchdog
+// so that execution time of untrusted code can be limited
+var timeoutContext = vm.createContext({});
+var timeoutScript = new vm.Script('callback()', {
+    filename: 'runspace:timeout'
+});
+
+// errors of which stack traces have been mapped to original sources
+var mappedErrors = new WeakMap();
+
+// the runspace from which the current callback, microtask or promise originates,
+// which is tracked by domains instead before Node.js 12.17 where AsyncLocalStorage is not available
+var asyncStorage = asyncHooks.AsyncLocalStorage ? new asyncHooks.AsyncLocalStorage() : null;
+var domainRunspaces = new WeakMap();
+var processListenersAdded = false;
+var processListenerRunspaces = 0;
+
+// requests of fs, dns and crypto which are destroyed once their callbacks are called,
+// and keep the runspace from which they are started busy until then
+var ASYNC_REQUEST_TYPES = /^(FSREQCALLBACK|FSREQPROMISE|FILEHANDLECLOSEREQ|GETADDRINFOREQWRAP|GETNAMEINFOREQWRAP|QUERYWRAP|(?!HTTP)[A-Z0-9]+REQUEST)$/;
+var asyncRequests = new Map();
+var asyncRequestHook = asyncHooks.createHook({
+    init: function (asyncId, type) {
+        var runspace = currentRunspace();
+        if (runspace && !runspace.terminated && ASYNC_REQUEST_TYPES.test(type)) {
+            asyncRequests.set(asyncId, runspace);
+            runspace._pendingRequests++;
+            runspace._active = true;
+        }
     },
+    destroy: function (asyncId) {
+        var runspace = asyncRequests.get(asyncId);
+        if (runspace) {
+            asyncRequests.delete(asyncId);
+            runspace._pendingRequests--;
+            runspace._scheduleIdleCheck();
+            releaseHost(runspace);
+        }
+    }
+});
+var asyncRequestTrackers = 0;
+
+var GLOBALS = {
     Buffer: Buffer,
     Int8Array: Int8Array,
     Int16Array: Int16Array,
@@ -35,29 +85,398 @@ var GLOBALS = {
     Float64Array: Float64Array,
     ArrayBuffer: ArrayBuffer
 };
-var PROCESS_DENY = ['abort', 'binding', 'chdir', 'dlopen', 'exit', 'setgid', 'setegid', 'setuid', 'seteuid', 'setgroups', 'initgroups', 'kill', 'disconnect', 'mainModule'];
+// APIs which expose internals of the host or run code outside the runspace
+var V8_DENY = ['setFlagsFromString', 'getHeapSnapshot', 'writeHeapSnapshot', 'setHeapSnapshotNearHeapLimit', 'takeCoverage', 'stopCoverage', 'queryObjects', 'startupSnapshot'];
+var ASYNC_HOOKS_DENY = ['createHook', 'executionAsyncResource'];
+// the performance timeline is shared with the host, and observers receive entries of the host
+var PERF_HOOKS_DENY = ['PerformanceObserver', 'Performance#mark', 'Performance#measure', 'Performance#getEntries', 'Performance#getEntriesByName', 'Performance#getEntriesByType',
+    'Performance#clearMarks', 'Performance#clearMeasures', 'Performance#clearResourceTimings', 'Performance#markResourceTiming', 'Performance#setResourceTimingBufferSize'];
+var PROCESS_DENY = ['abort', 'binding', 'chdir', 'dlopen', 'setgid', 'setegid', 'setuid', 'seteuid', 'setgroups', 'initgroups', 'kill', 'disconnect', 'mainModule'];
 Array.prototype.push.apply(PROCESS_DENY, Object.getOwnPropertyNames(process).filter(function (v) {
     return v.charAt(0) === '_';
 }));
 
-var FS_ARG_CHECK = {};
-Object.getOwnPropertyNames(fs).forEach(function (i) {
-    var checkArg1 = i.charAt(0) !== 'f' && ['read', 'readSync', 'write', 'writeSync'].indexOf(i) < 0;
-    var checkArg2 = checkArg1 && ['rename', 'renameSync', 'link', 'linkSync'].indexOf(i) >= 0;
-    FS_ARG_CHECK[i] = (checkArg1 && 1) | (checkArg2 && 2);
-});
+function mapError(runspace, err) {
+    // stack traces are rewritten as text when errors cross into host
+    // so that CallSite objects are never exposed by Error.prepareStackTrace
+    if (err && typeof err === 'object' && !mappedErrors.has(err)) {
+        try {
+            mappedErrors.set(err, true);
+            if (typeof err.stack === 'string') {
+                var stack = runspace.stackPolicy.sanitize(runspace.moduleLoader.mapStack(err.stack));
+                if (stack !== err.stack) {
+                    Object.defineProperty(err, 'stack', {
+                        value: stack,
+                        writable: true,
+                        configurable: true
+                    });
+                }
+                Object.defineProperty(err, 'sandboxFrames', {
+                    value: runspace.stackPolicy.getFrames(stack),
+                    writable: true,
+                    configurable: true
+                });
+            }
+        } catch (ex) {
+            // stack of frozen or proxied errors are left unchanged
+        }
+    }
+    return err;
+}
 
-function isContained(basedir, dirname) {
-    return path.relative(basedir, dirname).indexOf('..' + path.sep) < 0;
+// copies an error thrown by an RPC handler into the given realm, null for host,
+// keeping its code, and values which cannot be cloned are rejected with the DataCloneError
+function cloneError(runspace, err, realm) {
+    var result;
+    try {
+        result = cloneValue(err, realm);
+        if (util.types.isNativeError(err) && typeof err.code === 'string') {
+            result.code = err.code;
+        }
+    } catch (ex) {
+        result = cloneValue(ex, realm);
+    }
+    if (!realm) {
+        return mapError(runspace, result);
+    }
+    if (util.types.isNativeError(result)) {
+        result.stack = runspace.stackPolicy.sanitize(result.stack);
+    }
+    return result;
 }
 
-function throwIfEAcces(basedir, filename) {
-    filename = path.resolve(filename);
-    if (!isContained(basedir, filename)) {
-        var err = new Error(util.format('Access to %s is blocked', filename));
-        err.code = 'EACCES';
+// settles with the value returned by fn, or rejects when the RPC call timed out or the runspace is terminated
+function trackCall(runspace, name, fn) {
+    return new Promise(function (resolve, reject) {
+        var timer;
+        function settle(callback) {
+            return function (value) {
+                removeItem(runspace._pendingCalls, abort);
+                clearTimeout(timer);
+                runspace._scheduleIdleCheck();
+                callback(value);
+            };
+        }
+        var abort = settle(reject);
+        runspace._pendingCalls.push(abort);
+        runspace._active = true;
+        if (runspace.rpcTimeout) {
+            timer = setTimeout(function () {
+                var err = new Error(util.format('RPC call to \'%s\' timed out after %dms', name, runspace.rpcTimeout));
+                err.code = 'ERR_RPC_TIMEOUT';
+                abort(err);
+            }, runspace.rpcTimeout);
+        }
+        new Promise(function (resolve) {
+            resolve(fn());
+        }).then(settle(resolve), abort);
+    });
+}
+
+function getHandler(handlers, name) {
+    if (typeof handlers[name] !== 'function') {
+        var err = new Error(util.format('No RPC handler registered for \'%s\'', name));
+        err.code = 'ERR_RPC_NO_HANDLER';
         throw err;
     }
+    return handlers[name];
+}
+
+function currentRunspace() {
+    if (asyncStorage) {
+        return asyncStorage.getStore();
+    }
+    return process.domain ? domainRunspaces.get(process.domain) : undefined;
+}
+
+function runInRunspace(runspace, callback) {
+    if (asyncStorage) {
+        return asyncStorage.run(runspace, callback);
+    }
+    // the domain is exited in finally as domain.run() of older versions leaves it entered when callback throws
+    runspace._domain.enter();
+    try {
+        return callback();
+    } finally {
+        runspace._domain.exit();
+    }
+}
+
+function hasHostListeners(event, listener) {
+    // the domain module, which is loaded to be proxied, listens to uncaughtException itself
+    return process.listeners(event).some(function (v) {
+        return v !== listener && v.name !== 'domainUncaughtExceptionClear';
+    });
+}
+
+function rethrowToHost(err) {
+    // errors of the host are left to the default handling of Node.js
+    // unless the host has listened to them
+    if (!hasHostListeners('uncaughtException', onUncaughtException)) {
+        process.removeListener('uncaughtException', onUncaughtException);
+        process.removeListener('unhandledRejection', onUnhandledRejection);
+        processListenersAdded = false;
+        process.nextTick(function () {
+            throw err;
+        });
+    }
+}
+
+function onUncaughtException(err) {
+    var runspace = currentRunspace();
+    if (!runspace) {
+        rethrowToHost(err);
+    } else if (!runspace.terminated) {
+        runspace._emitWithReason('error', 'error', mapError(runspace, err));
+    }
+}
+
+function onUnhandledRejection(reason, promise) {
+    var runspace = currentRunspace();
+    if (!runspace) {
+        if (!hasHostListeners('unhandledRejection', onUnhandledRejection)) {
+            // raised as an uncaught exception as Node.js does by default
+            process.nextTick(function () {
+                throw reason;
+            });
+        }
+    } else if (!runspace.terminated) {
+        // rejections are reported as errors if not listened
+        runspace._emitWithReason('error', runspace.listenerCount('unhandledRejection') ? 'unhandledRejection' : 'error', mapError(runspace, reason), promise);
+    }
+}
+
+// the hook is only enabled while there are runspaces as it slows down every async operation of the host
+function trackAsyncRequests() {
+    if (!asyncRequestTrackers) {
+        asyncRequestHook.enable();
+    }
+    asyncRequestTrackers++;
+}
+
+function untrackAsyncRequests() {
+    asyncRequestTrackers--;
+    if (!asyncRequestTrackers) {
+        asyncRequestHook.disable();
+    }
+}
+
+// the listeners on process are only added while there are runspaces as they change how errors of the host are handled
+function addProcessListeners() {
+    processListenerRunspaces++;
+    if (!processListenersAdded) {
+        process.on('uncaughtException', onUncaughtException);
+        process.on('unhandledRejection', onUnhandledRejection);
+        processListenersAdded = true;
+    }
+}
+
+function removeProcessListeners() {
+    processListenerRunspaces--;
+    // rejections caused by termination are reported after pending microtasks, and are still discarded
+    setImmediate(function () {
+        if (!processListenerRunspaces && processListenersAdded) {
+            process.removeListener('uncaughtException', onUncaughtException);
+            process.removeListener('unhandledRejection', onUnhandledRejection);
+            processListenersAdded = false;
+        }
+    });
+}
+
+// called as work of a runspace settles, and releases the host once the runspace is terminated and has no pending work,
+// as errors thrown by callbacks of the pending work would otherwise be thrown to the host
+function releaseHost(runspace) {
+    if (runspace.terminated && !runspace._pendingOperations && !runspace._pendingRequests && !runspace._hostReleased) {
+        runspace._hostReleased = true;
+        untrackAsyncRequests();
+        if (!runspace._domain) {
+            removeProcessListeners();
+        }
+    }
+}
+
+// await outside of async functions is a syntax error in scripts,
+// but not in the body of an async function
+function usesTopLevelAwait(code) {
+    if (!/\bawait\b/.test(code)) {
+        return false;
+    }
+    var script;
+    try {
+        script = new vm.Script(code);
+        return false;
+    } catch (ex) {
+        try {
+            script = new vm.Script('(async function () {' + code + '\n})');
+            return true;
+        } catch (ex2) {
+            return false;
+        }
+    }
+}
+
+function isTimeoutError(ex) {
+    return !!ex && (ex.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || /^Script execution timed out/.test(ex.message));
+}
+
+// fn.apply() of live proxies is resolved from the proxy of Function.prototype,
+// which calls the target with arguments unwrapped instead of calling the proxy
+function apply(fn, thisArg, args) {
+    return Function.prototype.apply.call(fn, thisArg, args);
+}
+
+function runWithTimeout(callback, timeout) {
+    timeoutContext.callback = callback;
+    try {
+        return timeoutScript.runInContext(timeoutContext, {
+            timeout: timeout
+        });
+    } finally {
+        timeoutContext.callback = null;
+    }
+}
+
+function throwEAcces(message, method) {
+    var err = new Error(util.format(message, method));
+    err.code = 'EACCES';
+    throw err;
+}
+
+function throwEBadF(method) {
+    var err = new Error(util.format('EBADF: bad file descriptor, %s', method.replace(/Sync$/, '')));
+    err.code = 'EBADF';
+    throw err;
+}
+
+function throwENotSup(method) {
+    var err = new Error(util.format('ENOTSUP: operation not supported by overlay, %s', method.replace(/Sync$/, '')));
+    err.code = 'ENOTSUP';
+    throw err;
+}
+
+function writeToPipe(pipe, method, args) {
+    var data = args[1];
+    if (data instanceof Buffer) {
+        var offset = typeof args[2] === 'number' ? args[2] : 0;
+        var length = typeof args[3] === 'number' ? args[3] : data.length - offset;
+        data = data.slice(offset, offset + length);
+    } else {
+        data = new Buffer(String(data), typeof args[3] === 'string' ? args[3] : 'utf8');
+    }
+    pipe.writable.write(data);
+    if (method === 'write') {
+        var callback = args[args.length - 1];
+        if (typeof callback === 'function') {
+            process.nextTick(function () {
+                callback(null, data.length, args[1]);
+            });
+        }
+        return;
+    }
+    return data.length;
+}
+
+function throwEAgain(method) {
+    var err = new Error(util.format('EAGAIN: resource temporarily unavailable, %s', method.replace(/Sync$/, '')));
+    err.code = 'EAGAIN';
+    throw err;
+}
+
+// reading file descriptor 0 reads process.stdin of the sandbox, which is non-blocking,
+// so synchronous reads throw EAGAIN unless data is already buffered
+function readFromPipe(pipe, method, args) {
+    var sync = /Sync$/.test(method);
+    var callback = args[args.length - 1];
+    if (method === 'readFile' || method === 'readFileSync') {
+        if (sync) {
+            throwEAgain(method);
+        }
+        var encoding = typeof args[1] === 'string' ? args[1] : args[1] && typeof args[1] === 'object' ? args[1].encoding : null;
+        var chunks = [];
+        var next = function (chunk) {
+            if (chunk) {
+                chunks.push(chunk);
+                return pipe.readChunk(next);
+            }
+            var data = Buffer.concat(chunks);
+            callback(null, encoding ? data.toString(encoding) : data);
+        };
+        return pipe.readChunk(next);
+    }
+    // read(fd, buffer, offset, length, position), read(fd, buffer, options) or read(fd, options)
+    var options = ArrayBuffer.isView(args[1]) ? (args[2] && typeof args[2] === 'object' ? args[2] : {
+        offset: args[2],
+        length: args[3]
+    }) : (args[1] && typeof args[1] === 'object' ? args[1] : {});
+    var buffer = ArrayBuffer.isView(args[1]) ? args[1] : options.buffer || Buffer.alloc(16384);
+    var offset = options.offset || 0;
+    var length = typeof options.length === 'number' ? options.length : buffer.byteLength - offset;
+    var copy = function (chunk) {
+        if (!chunk) {
+            return 0;
+        }
+        var target = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        var bytesRead = chunk.copy(target, offset, 0, Math.min(length, chunk.length));
+        if (bytesRead < chunk.length) {
+            pipe.readable.unshift(chunk.slice(bytesRead));
+        }
+        return bytesRead;
+    };
+    if (sync) {
+        var chunk = pipe.readable.read();
+        if (chunk === null) {
+            throwEAgain(method);
+        }
+        return copy(Buffer.from(chunk));
+    }
+    pipe.readChunk(function (chunk) {
+        callback(null, copy(chunk), buffer);
+    });
+}
+
+// file descriptors 0, 1 and 2 are pipes of the runspace, which have no metadata on disk
+function createPipeStats() {
+    var now = Date.now();
+    var stats = Object.create(fs.Stats.prototype);
+    var values = {
+        dev: 0,
+        mode: fs.constants.S_IFIFO | 384,
+        nlink: 1,
+        uid: 0,
+        gid: 0,
+        rdev: 0,
+        blksize: 4096,
+        ino: 0,
+        size: 0,
+        blocks: 0,
+        atimeMs: now,
+        mtimeMs: now,
+        ctimeMs: now,
+        birthtimeMs: now,
+        atime: new Date(now),
+        mtime: new Date(now),
+        ctime: new Date(now),
+        birthtime: new Date(now)
+    };
+    Object.keys(values).forEach(function (i) {
+        // dates are accessors on the prototype in later versions of Node.js
+        Object.defineProperty(stats, i, {
+            value: values[i],
+            writable: true,
+            enumerable: true,
+            configurable: true
+        });
+    });
+    return stats;
+}
+
+// values of properties, or return values of methods, are replaced by those given by name
+// or computed by functions on the host, which are called with arguments of methods
+function getOverride(overrides, name, args, undef) {
+    if (Object.prototype.hasOwnProperty.call(overrides, name)) {
+        var value = overrides[name];
+        return undef.wrap(typeof value === 'function' ? value.apply(null, args || []) : value);
+    }
 }
 
 function removeItem(arr, value) {
@@ -78,80 +497,509 @@ function clear(obj, callback) {
     }
 }
 
-function networkIOProxyCall(closeables) {
-    return function (method, fn, args, target) {
+function mergeProxyOptions(options, policy) {
+    // options from the builtins option are applied on top of those defined by the runspace
+    // and its interceptors are called before those of the runspace
+    if (!isObject(policy)) {
+        return options;
+    }
+    var merged = {};
+    Object.keys(options).forEach(function (i) {
+        merged[i] = options[i];
+    });
+    Object.keys(policy).forEach(function (i) {
+        var value = policy[i];
+        var base = options[i];
+        if (i === 'exports' || i === 'name') {
+            return;
+        }
+        if (i === 'deny' && Array.isArray(base)) {
+            merged[i] = base.concat(value);
+        } else if (typeof value === 'function' && typeof base === 'function') {
+            merged[i] = function () {
+                var result = value.apply(this, arguments);
+                return result !== undefined ? result : base.apply(this, arguments);
+            };
+        } else {
+            merged[i] = value;
+        }
+    });
+    return merged;
+}
+
+function copyOptions(options) {
+    var copy = {};
+    Object.keys(options || {}).forEach(function (i) {
+        copy[i] = options[i];
+    });
+    return copy;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function getNetworkTarget(method, args, target, protocol) {
+    // returns the host and port, and where the resolved address is placed,
+    // of methods that send to or listen on an address
+    var index, options;
+    var defaultHost = method === 'Server#listen' || method === 'Socket#bind' ? (target.type === 'udp6' ? '::' : '0.0.0.0') : 'localhost';
+    if (method === 'Socket#send') {
+        index = typeof args[2] === 'number' ? 3 : 1;
+        if (typeof args[index] !== 'number' && typeof args[index] !== 'string') {
+            // sending through connected socket
+            return null;
+        }
+    } else if (isObject(args[0])) {
+        if (args[0].path !== undefined || args[0].fd !== undefined || args[0].handle !== undefined || args[0]._handle !== undefined) {
+            NetPolicy.blockLocalSocket('Listening on %s is blocked', args[0].path);
+        }
+        options = {};
+        Object.keys(args[0]).forEach(function (i) {
+            options[i] = args[0][i];
+        });
+        args[0] = options;
+    } else if (typeof args[0] === 'string' && isNaN(args[0])) {
+        NetPolicy.blockLocalSocket('Listening on %s is blocked', args[0]);
+    } else {
+        index = 0;
+    }
+    var host = options ? options.host || options.address : args[index + 1];
+    return {
+        host: typeof host === 'string' ? host : defaultHost,
+        port: options ? options.port : typeof args[index] === 'function' ? 0 : args[index],
+        protocol: protocol,
+        setAddress: typeof host !== 'string' ? function () {} : function (address) {
+            if (options) {
+                options[options.host ? 'host' : 'address'] = address;
+            } else {
+                args[index + 1] = address;
+            }
+        }
+    };
+}
+
+function callResolved(policy, method, fn, args, target, protocol) {
+    // sends to or listens on the resolved address so that the checked address is used
+    // errors for unresolved host names are reported asynchronously
+    var networkTarget = getNetworkTarget(method, args, target, protocol);
+    var family = target.type === 'udp6' ? 6 : target.type === 'udp4' ? 4 : 0;
+    var sync = true;
+    var returnValue = method === 'Server#listen' || method === 'Socket#bind' ? target : undefined;
+    if (!networkTarget) {
+        return fn.apply(target, args);
+    }
+    policy.resolve(method === 'Server#listen' || method === 'Socket#bind' ? 'listen' : 'connect', networkTarget, family, function (err, address) {
+        if (err && sync) {
+            throw err;
+        }
+        if (err) {
+            var callback = args[args.length - 1];
+            if (method === 'Socket#send' && typeof callback === 'function') {
+                callback(err);
+            } else {
+                target.emit('error', err);
+            }
+            return;
+        }
+        networkTarget.setAddress(address);
+        returnValue = fn.apply(target, args);
+    });
+    sync = false;
+    return returnValue;
+}
+
+function getEmitterName(emitter) {
+    return emitter === process ? 'process' : (emitter.constructor && emitter.constructor.name) || 'EventEmitter';
+}
+
+function getAddress(obj, method) {
+    try {
+        return obj[method]();
+    } catch (ex) {
+        // unbound or unconnected dgram sockets throw
+        return null;
+    }
+}
+
+// addresses last known are described after closed
+function describeServer(protocol, server) {
+    var lastAddress = null;
+    return function () {
+        var address = getAddress(server, 'address') || lastAddress;
+        lastAddress = address;
+        return {
+            protocol: protocol,
+            address: address && typeof address === 'object' ? address.address : address,
+            port: address && typeof address === 'object' ? address.port : undefined
+        };
+    };
+}
+
+function describeSocket(protocol, socket) {
+    var last = {
+        protocol: protocol
+    };
+    return function () {
+        var details = {
+            protocol: protocol
+        };
+        if (protocol === 'udp') {
+            var local = getAddress(socket, 'address') || {};
+            var remote = getAddress(socket, 'remoteAddress') || {};
+            details.localAddress = local.address;
+            details.localPort = local.port;
+            details.remoteAddress = remote.address;
+            details.remotePort = remote.port;
+        } else {
+            details.localAddress = socket.localAddress;
+            details.localPort = socket.localPort;
+            details.remoteAddress = socket.remoteAddress;
+            details.remotePort = socket.remotePort;
+        }
+        if (details.localAddress || details.remoteAddress) {
+            last = details;
+        }
+        return last;
+    };
+}
+
+function networkIOProxyCall(runspace, closeables, policy, protocol) {
+    var resources = runspace._resources;
+    function reserve(category) {
+        runspace._checkLimit(category === 'sockets' ? 'maxSockets' : 'maxServers', resources.count(category) + 1);
+    }
+    function track(category, obj, describe) {
+        closeables.push(obj);
+        resources.add(category, obj, describe(protocol, obj));
+        obj.once('close', function () {
+            removeItem(closeables, obj);
+            resources.remove(obj);
+        });
+    }
+
+
+    return function (method, fn, args, target, undef) {
+        if (policy) {
+            if (protocol === 'udp' ? method === 'Socket#send' || method === 'Socket#connect' || method === 'Socket#bind' : method === 'Server#listen') {
+                return undef.wrap(callResolved(policy, method, fn, args, target, protocol));
+            }
+            if (method === 'connect' || method === 'createConnection' || method === 'Socket#connect' || method === 'Agent#createConnection') {
+                policy.checkConnectArgs(args, protocol);
+            }
+            if (method === 'request' || method === 'get' || method === 'ClientRequest') {
+                policy.checkRequestArgs(args, protocol);
+            }
+        }
+        if (method === 'request' || method === 'get' || method === 'ClientRequest') {
+            // requests keep the runspace busy until the response is consumed or the request is aborted
+            // each request counts as a socket from its creation, even while queued by its agent,
+            // and is described by the socket assigned to it, as agents may keep and reuse sockets afterwards
+            reserve('sockets');
+            var end = runspace._startOperation();
+            try {
+                var request = fn.apply(target, args);
+                var describe = null;
+                var closeable = {
+                    close: function () {
+                        // listeners of the terminated sandbox are not notified of the abort
+                        request.removeAllListeners();
+                        request.on('error', function () {});
+                        request.destroy();
+                    }
+                };
+                closeables.push(closeable);
+                resources.add('sockets', request, function () {
+                    return describe ? describe() : {
+                        protocol: protocol
+                    };
+                });
+                request.once('socket', function (socket) {
+                    describe = describeSocket(protocol, socket);
+                });
+                request.once('close', function () {
+                    removeItem(closeables, closeable);
+                    resources.remove(request);
+                    end();
+                });
+                return request;
+            } catch (ex) {
+                end();
+                throw ex;
+            }
+        }
         if (method === 'createServer' || method === 'createSocket') {
+            reserve(method === 'createSocket' ? 'sockets' : 'servers');
             var server = fn.apply(target, args);
             if (server.unref) {
                 server.unref();
             }
-            closeables.push(server);
+            if (method === 'createSocket') {
+                track('sockets', server, describeSocket);
+            } else {
+                track('servers', server, describeServer);
+            }
             return server;
         }
-        if (method === 'connect' || method === 'createConnection' || method === 'Socket') {
+        if (method === 'connect' || method === 'createConnection' || method === 'Socket' || method === 'TLSSocket' || method === 'Agent#createConnection') {
+            reserve('sockets');
             var socket = fn.apply(target, args);
             socket.close = socket.end;
             socket.unref();
-            closeables.push(socket);
+            track('sockets', socket, describeSocket);
             return socket;
         }
         if (method === 'Server#close' || method === 'Socket#close' || method === 'Socket#end') {
             removeItem(closeables, target);
+            resources.remove(target);
             return;
         }
     };
 }
 
-function Pipe() {
+// onWrite is called with the number of bytes before data is written,
+// so that errors thrown by it are thrown to the writer
+function Pipe(onWrite) {
     var self = this;
     var queue = [];
+    var reading = false;
+    var ended = false;
+    // queued data is pushed while the reader asks for more,
+    // whether it is written before or after read() is called
+    function flush() {
+        while (reading && queue.length) {
+            reading = self.readable.push(queue.shift());
+        }
+        if (ended && !queue.length) {
+            self.readable.push(null);
+        }
+    }
     self.readable = new stream.Readable({
         read: function () {
-            while (queue[0] && this.push(queue.shift()));
+            reading = true;
+            flush();
         }
     });
     self.writable = new stream.Writable({
         write: function (data, encoding, callback) {
             var err = null;
             try {
-                if (self.readable.listenerCount('data') > 0) {
+                if (self.readable.listenerCount('data') > 0 || self.readable.listenerCount('readable') > 0) {
                     if (!(data instanceof Buffer)) {
                         data = new Buffer(data, encoding);
                     }
                     queue.push(data);
+                    flush();
                 }
             } catch (ex) {
                 err = ex;
             }
             callback(err);
+        },
+        final: function (callback) {
+            ended = true;
+            flush();
+            callback();
         }
     });
+    // calls back with the next chunk written, or null once the writable is ended
+    self.readChunk = function (callback) {
+        var readable = self.readable;
+        var onReadable = function () {
+            var chunk = readable.read();
+            if (chunk !== null || (ended && !queue.length)) {
+                readable.removeListener('readable', onReadable);
+                callback(chunk === null ? null : Buffer.from(chunk));
+            }
+        };
+        readable.on('readable', onReadable);
+        process.nextTick(onReadable);
+    };
+    if (onWrite) {
+        var write = self.writable.write;
+        self.writable.write = function (data, encoding) {
+            onWrite(data instanceof Buffer ? data.length : Buffer.byteLength(String(data), typeof encoding === 'string' ? encoding : 'utf8'));
+            return write.apply(this, arguments);
+        };
+    }
 }
 
 function Runspace(scope, options) {
-    Proxy.call(this);
     options = options || {};
+    if (options.isolation && options.isolation !== 'none') {
+        return new RemoteRunspace(scope, options);
+    }
+    Proxy.call(this, {
+        liveProxy: options.liveProxy
+    });
 
     var self = this;
     self.scope = path.resolve(scope);
+    self.fsPolicy = new FsPolicy(self.scope, options.fs);
+    self.timeout = options.timeout || 0;
+    self.terminateOnTimeout = !!options.terminateOnTimeout;
+    self.rpcTimeout = options.rpcTimeout || 0;
+    self.limits = options.limits || {};
+    self.terminateOnIdle = !!options.terminateOnIdle;
+    self.exitTimeout = options.exitTimeout !== undefined ? options.exitTimeout : 1000;
+    self.stackPolicy = new StackPolicy(self.scope, options.hostFrames);
+    self._invokeDepth = 0;
+    self._callDepth = 0;
+    self._exitCalled = false;
+    self._handlers = Object.create(null);
+    self._sandboxHandlers = Object.create(null);
+    self._pendingCalls = [];
+    self._pendingOperations = 0;
+    self._pendingRequests = 0;
+    self._hostReleased = false;
+    self._idleCallbacks = [];
+    self._idleCheck = null;
+    self._active = false;
+    self._exitCode = undefined;
+    self._exiting = null;
+    self._finishing = false;
+    self.overlay = options.overlay ? new OverlayFS(self.scope) : null;
+    var builtins = {
+        async_hooks: {
+            deny: ASYNC_HOOKS_DENY
+        },
+        child_process: false,
+        cluster: false,
+        inspector: false,
+        'inspector/promises': false,
+        perf_hooks: {
+            deny: PERF_HOOKS_DENY
+        },
+        repl: false,
+        trace_events: false,
+        v8: {
+            deny: V8_DENY
+        },
+        wasi: false
+    };
+    Object.keys(options.builtins || {}).forEach(function (i) {
+        builtins[i.replace(/^node:/, '')] = options.builtins[i];
+    });
+    if ((options.net || self.limits.maxSockets !== undefined || self.limits.maxServers !== undefined) &&
+        !(builtins.http2 && builtins.http2.exports !== undefined)) {
+        // sessions of http2 are neither checked by the network policy nor counted as sockets
+        builtins.http2 = false;
+    }
+    function builtinOptions(name, options) {
+        var merged = mergeProxyOptions(options, self.moduleLoader.getBuiltinPolicy(name));
+        var call = merged.call;
+        if (merged === options) {
+            merged = copyOptions(options);
+        }
+        // listeners are limited on any emitter, including those returned from other built-ins like net.Server
+        merged.call = function (method, fn, args, target) {
+            if (/#(on|addListener|once|prependListener|prependOnceListener)$/.test(method) &&
+                (target instanceof EventEmitter || /^EventEmitter#/.test(method))) {
+                checkLimit('maxListenersPerEmitter', countListeners(target) + 1);
+            }
+            return call ? call.apply(this, arguments) : undefined;
+        };
+        return merged;
+    }
+
     self.moduleLoader = new ModuleLoader(self, {
-        deny: ['cluster', 'child_process', 'repl'],
-        loadPaths: options.loadPaths
+        builtins: builtins,
+        loadPaths: options.loadPaths,
+        modules: options.modules,
+        alias: options.alias,
+        conditions: options.conditions,
+        transforms: options.transforms
     });
 
     var processEE = new EventEmitter();
-    var events = new EventManager();
+    var resources = new ResourceTracker(function (action, category, details) {
+        if (action === 'allocate') {
+            self._active = true;
+        } else {
+            self._scheduleIdleCheck();
+        }
+        if (!self.terminated) {
+            self.emit('resource', {
+                action: action,
+                category: category,
+                details: details
+            });
+        }
+    });
+    var events = new EventManager(function (action, emitter, eventType) {
+        if (!self.terminated) {
+            self.emit('resource', {
+                action: action,
+                category: 'listeners',
+                details: {
+                    emitter: getEmitterName(emitter),
+                    eventType: eventType
+                }
+            });
+        }
+    });
+    self._resources = resources;
+    self._eventManager = events;
+    self._processEE = processEE;
     var closeables = [];
 
+    function checkLimit(name, value) {
+        self._checkLimit(name, value);
+    }
+
+    // callbacks of async calls are the last argument
+    function callWithCallback(args, call) {
+        var end = self._startOperation();
+        var callback = args[args.length - 1];
+        args[args.length - 1] = function () {
+            end();
+            return callback.apply(this, arguments);
+        };
+        try {
+            return call();
+        } catch (ex) {
+            end();
+            throw ex;
+        }
+    }
+
+    function trackPromise(promise) {
+        var end = self._startOperation();
+        promise.then(end, end);
+        return promise;
+    }
+
+    function countListeners(emitter) {
+        if (emitter === process) {
+            return processEE.eventNames().reduce(function (count, v) {
+                return count + processEE.listenerCount(v);
+            }, 0);
+        }
+        var eventTypes = events.emitters.get(emitter);
+        if (!eventTypes) {
+            // listeners of emitters created by sandbox are added to the emitters as-is
+            return EventEmitter.prototype.eventNames.call(emitter).reduce(function (count, v) {
+                return count + EventEmitter.prototype.listenerCount.call(emitter, v);
+            }, 0);
+        }
+        return Object.keys(eventTypes).reduce(function (count, v) {
+            return count + eventTypes[v].length;
+        }, 0);
+    }
+
+    var stdoutBytes = 0;
     var stdin = new Pipe();
-    var stdout = new Pipe();
+    var stdout = new Pipe(function (length) {
+        checkLimit('maxStdoutBytes', stdoutBytes + length);
+        stdoutBytes += length;
+    });
     var stderr = new Pipe();
     self.stdin = stdin.writable;
     self.stdout = stdout.readable;
     self.stderr = stderr.readable;
 
     // setup proxies of built-in modules
-    self.add(EventEmitter, {
+    self.add(EventEmitter, builtinOptions('events', {
         call: function (method, fn, args, target, undef) {
             if (self.isWeaklyProxied(target)) {
                 return;
@@ -190,9 +1038,12 @@ function Runspace(scope, options) {
                 return (events.getListeners(target, args[0]) || '').length;
             }
         }
-    });
-    self.add(stream);
-    self.add(domain);
+    }));
+    self.add(stream, builtinOptions('stream', {}));
+    self.add(domain, builtinOptions('domain', {}));
+    self.add(console, builtinOptions('console', {
+        name: 'console'
+    }));
 
     var timerCallbacks = {
         immediate: [],
@@ -203,15 +1054,19 @@ function Runspace(scope, options) {
         functionType: 'ctor',
         deny: ['#ref']
     });
-    self.add(timers, {
+    self.add(timers, builtinOptions('timers', {
         call: function (method, fn, args, target, undef) {
             var arr = timerCallbacks[method.substr(method.charAt(0) === 's' ? 3 : 5).toLowerCase()];
             if (method.charAt(0) === 's') {
                 var handle;
+                var type = method.substr(3).toLowerCase();
+                var delay = +args[1];
+                checkLimit('maxTimers', resources.count('timers') + 1);
                 if (method !== 'setInterval') {
                     var callback = args[0];
                     args[0] = function () {
                         removeItem(arr, handle);
+                        resources.remove(handle);
                         callback.apply(this, arguments);
                     };
                 }
@@ -220,18 +1075,51 @@ function Runspace(scope, options) {
                     handle.unref();
                 }
                 arr.push(handle);
+                resources.add('timers', handle, function () {
+                    return {
+                        type: type,
+                        // delays out of range are set to 1 as by Node.js
+                        delay: type === 'immediate' ? undefined : delay >= 1 && delay <= 0x7fffffff ? delay : 1
+                    };
+                });
                 return undef.wrap(handle);
             } else {
                 removeItem(arr, args[0]);
+                resources.remove(args[0]);
                 return undef.wrap(fn.apply(null, args));
             }
         }
+    }));
+    var processOverrides = {};
+    var osOverrides = options.os || {};
+    var env = null;
+    Object.keys(options.process || {}).forEach(function (i) {
+        if (i === 'env') {
+            // environment is copied so that changes inside sandbox are kept by the runspace,
+            // and is recreated inside sandbox once the context is created
+            env = {};
+            Object.keys(options.process.env || {}).forEach(function (v) {
+                env[v] = String(options.process.env[v]);
+            });
+        } else {
+            processOverrides[i] = options.process[i];
+        }
     });
+    // the diagnostic report includes the hostname, pid, environment and so on of the host,
+    // which would reveal the values replaced by the process and os options
+    var processDeny = (options.process || options.os) && !Object.prototype.hasOwnProperty.call(processOverrides, 'report') ? PROCESS_DENY.concat('report') : PROCESS_DENY;
     self.add(process, {
         name: 'process',
-        deny: PROCESS_DENY,
+        deny: processDeny,
         freeze: true,
-        get: function (prop) {
+        interceptFrozen: ['exitCode'],
+        get: function (prop, value, target, undef) {
+            if (prop === 'exitCode') {
+                return undef.wrap(self._exitCode);
+            }
+            if (prop === 'env' && env) {
+                return env;
+            }
             if (prop === 'stdin') {
                 return stdin.readable;
             }
@@ -241,127 +1129,646 @@ function Runspace(scope, options) {
             if (prop === 'stderr') {
                 return stderr.writable;
             }
+            return getOverride(processOverrides, prop, null, undef);
+        },
+        set: function (prop, value) {
+            // process is frozen so that the exit code is only kept by the runspace
+            if (prop === 'exitCode') {
+                self._exitCode = value;
+            }
         },
         call: function (method, fn, args, target, undef) {
+            if (method === 'exit') {
+                if (args[0] !== undefined) {
+                    self._exitCode = args[0];
+                }
+                // as in Node.js, exit listeners are called and the runspace is terminated at once,
+                // and code after process.exit() does not run, as nothing is accessible once terminated
+                self._exitCalled = true;
+                self._finish('exit');
+                self.throwIfTerminated();
+            }
             if (method === 'send') {
-                var message = JSON.parse(JSON.stringify(args[0]));
+                var message = cloneValue(args[0], null, args[1] && args[1].transfer);
                 self.emit('message', message);
                 return undef;
             }
             if (method === 'cwd') {
                 return self.scope;
             }
+            return getOverride(processOverrides, method, args, undef);
         }
     });
+    self.add(os, builtinOptions('os', {
+        name: 'os',
+        get: function (prop, value, target, undef) {
+            return getOverride(osOverrides, prop, null, undef);
+        },
+        call: function (method, fn, args, target, undef) {
+            return getOverride(osOverrides, method, args, undef);
+        }
+    }));
 
     var watchPaths = Object.create(null);
-    self.add(fs, {
-        name: 'fs',
-        call: function (method, fn, args, target, undef) {
-            if (FS_ARG_CHECK[method] & 1) {
-                args[0] = path.resolve(self.scope, args[0]);
-                throwIfEAcces(self.scope, args[0]);
+    var fds = [];
+    var fileHandles = [];
+
+    function addFd(fd) {
+        fds.push(fd);
+        resources.add('files', 'fd:' + fd, function () {
+            return {
+                type: 'fd',
+                fd: fd
+            };
+        });
+    }
+
+    function describeWatchFile(path, listeners) {
+        return function () {
+            return {
+                type: 'watchFile',
+                path: String(path),
+                listeners: listeners.length
+            };
+        };
+    }
+
+    function checkFsCall(method, args) {
+        if (/[.#]/.test(method.replace(/\.native$/, ''))) {
+            // members of objects returned from fs methods
+            return;
+        }
+        if (args[1] && typeof args[1] === 'object' && args[1].fd !== undefined) {
+            if (fds.indexOf(args[1].fd) < 0 && fileHandles.indexOf(args[1].fd) < 0) {
+                throwEBadF(method);
+            }
+            if (/^create(Read|Write)Stream$/.test(method)) {
+                // the path is ignored by streams of opened files
+                return;
             }
-            if (FS_ARG_CHECK[method] & 2) {
-                args[1] = path.resolve(self.scope, args[1]);
-                throwIfEAcces(self.scope, args[1]);
+        }
+        if (FsPolicy.isFdMethod(method)) {
+            if (fds.indexOf(args[0]) < 0) {
+                throwEBadF(method);
             }
-            if (method === 'FSWatcher#close') {
-                removeItem(closeables, target);
+            return;
+        }
+        var operations = FsPolicy.getPathArguments(method, args);
+        if (!operations) {
+            throwEAcces('Function call to fs.%s() is blocked', method);
+        }
+        var noFollow = !FsPolicy.followsLink(method);
+        operations.forEach(function (operation, i) {
+            if (operation && typeof args[i] === 'number') {
+                // methods like readFile and writeFile also accept file descriptors
+                if (fds.indexOf(args[i]) < 0) {
+                    throwEBadF(method);
+                }
+            } else if (operation && fileHandles.indexOf(args[i]) >= 0) {
+                // and those of fs.promises also accept file handles opened by sandbox
                 return;
+            } else if (operation) {
+                args[i] = self.fsPolicy.check(args[i], operation, noFollow);
+            }
+        });
+        if (/^(sym)?link(Sync)?$/.test(method)) {
+            self.fsPolicy.checkLinkTarget(args[0], args[1]);
+        }
+        if (/^cp(Sync)?$/.test(method)) {
+            checkCopiedFiles(args);
+        }
+    }
+
+    // files under copied directories are checked as they are copied,
+    // by the targets of symbolic links when dereferenced
+    function checkCopiedFiles(args) {
+        var options = args[2] && typeof args[2] === 'object' ? args[2] : {};
+        var checkedOptions = {};
+        Object.keys(options).forEach(function (i) {
+            checkedOptions[i] = options[i];
+        });
+        checkedOptions.filter = function (src, dest) {
+            self.fsPolicy.check(src, 'read', !options.dereference);
+            self.fsPolicy.check(dest, 'write');
+            return options.filter ? options.filter(src, dest) : true;
+        };
+        if (typeof args[2] === 'function') {
+            args.splice(2, 0, checkedOptions);
+        } else {
+            args[2] = checkedOptions;
+        }
+    }
+
+    function isOverlaid(method, args) {
+        if (!self.overlay || /[.#]/.test(method.replace(/\.native$/, ''))) {
+            return false;
+        }
+        var operations = FsPolicy.getPathArguments(method, args) || [];
+        if (operations.some(function (operation, i) {
+                return operation && (typeof args[i] === 'number' || fileHandles.indexOf(args[i]) >= 0);
+            })) {
+            // files opened by sandbox are read on disk, as they cannot be opened for writing
+            // or when they have been changed in the overlay
+            return false;
+        }
+        if (OverlayFS.isSupported(method)) {
+            if (/^(readFile|createReadStream)(Sync)?$/.test(method) && operations[0] === 'write') {
+                // reads with flags that create or truncate files are not emulated by the overlay
+                throwENotSup(method);
+            }
+            return true;
+        }
+        // other methods are performed on disk unless they write files
+        // or access files that have been changed in the overlay
+        operations.forEach(function (operation, i) {
+            if (operation === 'write' || (operation && typeof args[i] === 'string' && self.overlay.isChanged(args[i]))) {
+                throwENotSup(method);
+            }
+        });
+        return false;
+    }
+
+    // calls on file descriptors 0, 1 and 2, which are not opened by sandbox, are served by the pipes
+    function stdioCall(method, args) {
+        var name = method.replace(/Sync$/, '');
+        var sync = name !== method;
+        var callback = args[args.length - 1];
+        if (!sync && typeof callback !== 'function') {
+            return;
+        }
+        var value;
+        if (args[0] === 0 && (name === 'read' || name === 'readFile')) {
+            return {
+                value: sync ? readFromPipe(stdin, method, args) : callWithCallback(args, function () {
+                    return readFromPipe(stdin, method, args);
+                })
+            };
+        }
+        if (args[0] !== 0 && (name === 'writeFile' || name === 'appendFile')) {
+            var data = ArrayBuffer.isView(args[1]) ? Buffer.from(args[1].buffer, args[1].byteOffset, args[1].byteLength) : args[1];
+            writeToPipe(args[0] === 1 ? stdout : stderr, 'writeSync', [args[0], data, null, args[2] && typeof args[2] === 'object' ? args[2].encoding : args[2]]);
+        } else if (name === 'fstat') {
+            value = createPipeStats();
+        } else if (name !== 'fsync' && name !== 'fdatasync') {
+            return;
+        }
+        if (!sync) {
+            process.nextTick(function () {
+                callback.apply(null, name === 'fstat' ? [null, value] : [null]);
+            });
+        }
+        return {
+            value: sync ? value : undefined
+        };
+    }
+
+    // call interceptor of fs, also used for streams constructed by sandbox
+    function fsCall(method, fn, args, target, undef) {
+        if ((args[0] === 1 || args[0] === 2) && (method === 'write' || method === 'writeSync')) {
+            // writing to stdout and stderr are redirected to the pipes
+            return undef.wrap(writeToPipe(args[0] === 1 ? stdout : stderr, method, args));
+        }
+        if (args[0] === 0 || args[0] === 1 || args[0] === 2) {
+            var stdioResult = stdioCall(method, args);
+            if (stdioResult) {
+                return undef.wrap(stdioResult.value);
+            }
+        }
+        checkFsCall(method, args);
+        var overlaid = isOverlaid(method, args);
+        var call = function () {
+            return overlaid ? self.overlay.apply(method, args) : fn.apply(fs, args);
+        };
+        if (method === 'createReadStream' || method === 'createWriteStream') {
+            // streams keep the runspace busy until closed
+            var end = self._startOperation();
+            var streamOptions = args[1] && typeof args[1] === 'object' ? args[1] : {};
+            try {
+                var fileStream = call();
+                fileStream.once('close', end);
+                if (typeof streamOptions.fd === 'number' && streamOptions.autoClose !== false) {
+                    // the descriptor is closed along with the stream
+                    fileStream.once('close', function () {
+                        removeItem(fds, streamOptions.fd);
+                        resources.remove('fd:' + streamOptions.fd);
+                    });
+                }
+                return fileStream;
+            } catch (ex) {
+                end();
+                throw ex;
+            }
+        }
+        var isAsync = !/Sync$|^(un)?watch(File)?$|[.#]/.test(method.replace(/\.native$/, '')) && typeof args[args.length - 1] === 'function';
+        if (overlaid) {
+            return undef.wrap(isAsync ? callWithCallback(args, call) : call());
+        }
+        if (method === 'close' || method === 'closeSync') {
+            removeItem(fds, args[0]);
+            resources.remove('fd:' + args[0]);
+        }
+        if (method === 'openSync') {
+            var fd = fn.apply(fs, args);
+            addFd(fd);
+            return fd;
+        }
+        if (method === 'open' && typeof args[args.length - 1] === 'function') {
+            var callback = args[args.length - 1];
+            args[args.length - 1] = function (err, fd) {
+                if (!err) {
+                    if (self.terminated) {
+                        return fs.close(fd, function () {});
+                    }
+                    addFd(fd);
+                }
+                return callback.apply(this, arguments);
+            };
+        }
+        if (method === 'FSWatcher#close') {
+            removeItem(closeables, target);
+            resources.remove(target);
+            return;
+        }
+        if (method === 'watch') {
+            if (args[1] && args[1].persistent) {
+                throw new Error('Persistent FSWatcher disallowed');
+            }
+            checkLimit('maxWatchers', resources.count('watchers') + 1);
+            var watcher = fn.apply(fs, args);
+            var watchPath = args[0];
+            closeables.push(watcher);
+            resources.add('watchers', watcher, function () {
+                return {
+                    type: 'watch',
+                    path: String(watchPath)
+                };
+            });
+            watcher.once('close', function () {
+                removeItem(closeables, watcher);
+                resources.remove(watcher);
+            });
+            return watcher;
+        }
+        if (method === 'watchFile') {
+            if (!watchPaths[args[0]] || !watchPaths[args[0]].length) {
+                checkLimit('maxWatchers', resources.count('watchers') + 1);
             }
-            if (method === 'watch') {
-                if (args[1] && args[1].persistent) {
-                    throw new Error('Persistent FSWatcher disallowed');
+            var listeners = watchPaths[args[0]] || (watchPaths[args[0]] = []);
+            listeners.push(args[1]);
+            resources.add('watchers', listeners, describeWatchFile(args[0], listeners));
+            return undef.wrap(fn.apply(fs, args));
+        }
+        if (method === 'unwatchFile') {
+            if (watchPaths[args[0]]) {
+                if (args[1]) {
+                    removeItem(watchPaths[args[0]], args[1]);
+                    if (!watchPaths[args[0]].length) {
+                        resources.remove(watchPaths[args[0]]);
+                    }
+                    return undef.wrap(fn.apply(fs, args));
                 }
-                var watcher = fn.apply(fs, args);
-                closeables.push(watcher);
-                return watcher;
+                resources.remove(watchPaths[args[0]]);
+                clear(watchPaths[args[0]], function (v) {
+                    fs.unwatchFile(args[0], v);
+                });
+            }
+            return undef;
+        }
+        if (isAsync) {
+            return undef.wrap(callWithCallback(args, call));
+        }
+    }
+
+    self.add(fs, builtinOptions('fs', {
+        name: 'fs',
+        call: fsCall,
+        new: function (name, fn, args, undef) {
+            // streams constructed directly are checked and tracked as those created by
+            // createReadStream() and createWriteStream(), which take the same arguments
+            if (name === 'ReadStream' || name === 'WriteStream') {
+                return fsCall('create' + name, fs['create' + name], args, fs, undef);
             }
-            if (method === 'watchFile') {
-                if (!watchPaths[args[0]]) {
-                    watchPaths[args[0]] = [];
+        }
+    }));
+    if (fs.promises) {
+        self.add(fs.promises, builtinOptions('fs/promises', {
+            name: 'fs/promises',
+            call: function (method, fn, args, target, undef) {
+                try {
+                    checkFsCall(method, args);
+                    if (isOverlaid(method, args)) {
+                        return self.overlay.apply(method, args, true);
+                    }
+                } catch (ex) {
+                    // promise based methods report errors by rejection
+                    return Promise.reject(ex);
                 }
-                watchPaths[args[0]].push(args[1]);
-                return undef.wrap(fn.apply(fs, args));
-            }
-            if (method === 'unwatchFile') {
-                if (watchPaths[args[0]]) {
-                    if (args[1]) {
-                        removeItem(watchPaths[args[0]], args[1]);
-                        return undef.wrap(fn.apply(fs, args));
+                if (method === 'open') {
+                    return trackPromise(fn.apply(target, args)).then(function (handle) {
+                        if (self.terminated) {
+                            handle.close();
+                            throw new Error('proxy terminated');
+                        }
+                        fileHandles.push(handle);
+                        resources.add('files', handle, function () {
+                            return {
+                                type: 'fileHandle',
+                                fd: handle.fd
+                            };
+                        });
+                        return self.weakProxy(handle, {
+                            call: function (method, fn, args, target, undef) {
+                                if (method === 'FileHandle#close') {
+                                    removeItem(fileHandles, target);
+                                    resources.remove(target);
+                                }
+                                var result = fn.apply(target, args);
+                                return undef.wrap(result instanceof Promise ? trackPromise(result) : result);
+                            }
+                        });
+                    });
+                }
+                if (method === 'watch') {
+                    // watchers are aborted when the runspace is terminated
+                    var controller = new AbortController();
+                    var options = {};
+                    if (typeof args[1] === 'string') {
+                        options.encoding = args[1];
+                    } else if (args[1]) {
+                        Object.keys(args[1]).forEach(function (i) {
+                            options[i] = args[1][i];
+                        });
                     }
-                    clear(watchPaths[args[0]], function (v) {
-                        fs.unwatchFile(args[0], v);
+                    if (options.signal) {
+                        if (options.signal.aborted) {
+                            controller.abort();
+                        } else {
+                            options.signal.addEventListener('abort', function () {
+                                controller.abort();
+                            });
+                        }
+                    }
+                    options.signal = controller.signal;
+                    args[1] = options;
+                    var closeable = {
+                        close: function () {
+                            controller.abort();
+                        }
+                    };
+                    checkLimit('maxWatchers', resources.count('watchers') + 1);
+                    var iterator = fn.apply(target, args);
+                    var watchPath = args[0];
+                    closeables.push(closeable);
+                    resources.add('watchers', closeable, function () {
+                        return {
+                            type: 'watch',
+                            path: String(watchPath)
+                        };
                     });
+                    // the watcher is released once the iterator is done, returned or thrown
+                    ['next', 'return', 'throw'].forEach(function (name) {
+                        var step = iterator[name];
+                        iterator[name] = function () {
+                            return step.apply(iterator, arguments).then(function (result) {
+                                if (name !== 'next' || result.done) {
+                                    removeItem(closeables, closeable);
+                                    resources.remove(closeable);
+                                }
+                                return result;
+                            }, function (ex) {
+                                removeItem(closeables, closeable);
+                                resources.remove(closeable);
+                                throw ex;
+                            });
+                        };
+                    });
+                    return undef.wrap(iterator);
+                }
+                if (!/[.#]/.test(method)) {
+                    return trackPromise(fn.apply(target, args));
                 }
-                return undef;
             }
-        }
-    });
-    self.add(path, {
+        }));
+    }
+    self.add(path, builtinOptions('path', {
         name: 'path',
         call: function (method, fn, args) {
             if (method === 'resolve') {
                 args.unshift(self.scope);
             }
         }
-    });
+    }));
 
-    var netProxyCall = networkIOProxyCall(closeables);
-    self.add(require('dgram'), {
+    // zlib handles are not destroyed until garbage collected, which leaves them out of the async requests tracked,
+    // so convenience methods keep the runspace busy until their callbacks are called, and streams until closed
+    function trackZlibStream(create) {
+        var end = self._startOperation();
+        try {
+            var zlibStream = create();
+            zlibStream.once('close', end);
+            return zlibStream;
+        } catch (ex) {
+            end();
+            throw ex;
+        }
+    }
+    self.add(require('zlib'), builtinOptions('zlib', {
+        name: 'zlib',
+        call: function (method, fn, args, target, undef) {
+            if (/^create/.test(method)) {
+                return undef.wrap(trackZlibStream(function () {
+                    return fn.apply(target, args);
+                }));
+            }
+            if (!/Sync$|[.#]/.test(method) && typeof args[args.length - 1] === 'function') {
+                return undef.wrap(callWithCallback(args, function () {
+                    return fn.apply(target, args);
+                }));
+            }
+        },
+        new: function (name, fn, args, undef) {
+            return undef.wrap(trackZlibStream(function () {
+                return fn.apply(null, args);
+            }));
+        }
+    }));
+
+    var netPolicy = options.net ? new NetPolicy(options.net) : null;
+    self.add(require('dgram'), builtinOptions('dgram', {
         name: 'dgram',
         deny: ['Socket#ref'],
-        call: netProxyCall
-    });
-    self.add(require('net'), {
+        call: networkIOProxyCall(self, closeables, netPolicy, 'udp')
+    }));
+    self.add(require('net'), builtinOptions('net', {
         name: 'net',
         deny: ['Server#ref', 'Socket#ref'],
-        call: netProxyCall,
-        new: netProxyCall
-    });
-    self.add(require('tls'), {
+        call: networkIOProxyCall(self, closeables, netPolicy, 'tcp'),
+        new: networkIOProxyCall(self, closeables, netPolicy, 'tcp')
+    }));
+    self.add(require('tls'), builtinOptions('tls', {
         name: 'tls',
-        call: netProxyCall
-    });
-    self.add(require('http'), {
+        call: networkIOProxyCall(self, closeables, netPolicy, 'tls'),
+        new: networkIOProxyCall(self, closeables, netPolicy, 'tls')
+    }));
+    self.add(require('http'), builtinOptions('http', {
         name: 'http',
-        call: netProxyCall
-    });
-    self.add(require('https'), {
+        // internal methods of agents connect without going through the checked createConnection()
+        deny: ['Agent#addRequest', 'Agent#createSocket'],
+        call: networkIOProxyCall(self, closeables, netPolicy, 'http'),
+        new: networkIOProxyCall(self, closeables, netPolicy, 'http')
+    }));
+    self.add(require('https'), builtinOptions('https', {
         name: 'https',
-        call: netProxyCall
+        // internal methods of agents connect without going through the checked createConnection()
+        deny: ['Agent#addRequest', 'Agent#createSocket'],
+        call: networkIOProxyCall(self, closeables, netPolicy, 'https'),
+        new: networkIOProxyCall(self, closeables, netPolicy, 'https')
+    }));
+
+    var workerThreads = createWorkerThreads(self, options, closeables, {
+        stdout: stdout.writable,
+        stderr: stderr.writable
     });
+    self._parentPort = workerThreads.parentPort;
+    if (builtins.worker_threads !== false && !(isObject(builtins.worker_threads) && builtins.worker_threads.exports !== undefined)) {
+        // workers are started as child runspaces unless replaced by the builtins option
+        builtins.worker_threads = mergeProxyOptions({
+            exports: workerThreads
+        }, builtins.worker_threads);
+    }
+
+    function initContext(context) {
+        context.global = context;
+        context.process = self.getProxy(process);
+        // console of the host is proxied as other built-ins so that it is the same in every context
+        context.console = self.getProxy(console);
+
+        var timerProxy = self.getProxy(timers);
+        context.setImmediate = timerProxy.setImmediate;
+        context.setInterval = timerProxy.setInterval;
+        context.setTimeout = timerProxy.setTimeout;
+        context.clearImmediate = timerProxy.clearImmediate;
+        context.clearInterval = timerProxy.clearInterval;
+        context.clearTimeout = timerProxy.clearTimeout;
+
+        // prevent user-code accessing objects outside runspace.context
+        // by accessing internal V8 CallSite objects, which are only passed to the host
+        vm.runInContext('(function (format) { Object.defineProperty(Error, \'prepareStackTrace\', { value: function prepareStackTrace(err, callsites) { return format(err, callsites); } }); })', context)(function (err, callsites) {
+            return self.stackPolicy.format(err, callsites);
+        });
+        return context;
+    }
+
+    function createContext(obj, options) {
+        // contexts created inside sandbox get the same globals as runspace.context
+        // objects without prototype are used so that the host's Object is not reachable through them
+        if (obj && vm.isContext(obj)) {
+            return obj;
+        }
+        var context = vm.createContext(obj || (self.context ? vm.runInContext('Object.create(null)', self.context) : {}), options);
+        if (!self.context) {
+            // constructors of the runspace's realm are collected before some of them are replaced by GLOBALS
+            self._realm = cloneValue.createRealm(context);
+        }
+        Object.keys(GLOBALS).forEach(function (i) {
+            if (!(i in context)) {
+                Object.defineProperty(context, i, Object.getOwnPropertyDescriptor(GLOBALS, i));
+            }
+        });
+        return initContext(context);
+    }
 
     // setup global context in user-code space
-    self.context = vm.createContext(GLOBALS);
-    self.context.global = self.context;
-    self.context.process = self.getProxy(process);
-
-    var timerProxy = self.getProxy(timers);
-    self.context.setImmediate = timerProxy.setImmediate;
-    self.context.setInterval = timerProxy.setInterval;
-    self.context.setTimeout = timerProxy.setTimeout;
-    self.context.clearImmediate = timerProxy.clearImmediate;
-    self.context.clearInterval = timerProxy.clearInterval;
-    self.context.clearTimeout = timerProxy.clearTimeout;
-
-    self._domain = domain.create();
-    self._domain.on('error', function (err) {
-        self._domain.exit();
-        self.emit('error', err);
-    });
+    self.context = createContext();
 
-    // prevent user-code accessing objects outside runspace.context
-    // by accessing internal V8 CallSite objects
-    vm.runInContext('Object.defineProperty(Error, \'prepareStackTrace\', { value: undefined })', self.context);
+    if (env) {
+        // process.env is a native proxy inside sandbox so that values are converted to strings as in Node.js,
+        // and deleting variables works the same with either proxy engine; it is exposed as its own proxy
+        env = vm.runInContext('(function (values) { \'use strict\'; var env = {}; Object.keys(values).forEach(function (i) { env[i] = values[i]; }); return new Proxy(env, { set: function (target, name, value) { target[name] = String(value); return true; } }); })', self.context, {
+            filename: 'runspace:env'
+        })(env);
+        self._permMap.set(env, env);
+    }
+
+    // process.rpc() and process.handle() are created inside sandbox before any untrusted code runs
+    // so that the returned promises are from the sandbox and built-ins used cannot be replaced
+    self._extend(process, vm.runInContext('(function (call, register) { \'use strict\'; var P = Promise; var slice = Function.prototype.call.bind(Array.prototype.slice); return { rpc: function rpc(name) { var args = slice(arguments, 1); return new P(function (resolve, reject) { call(name, args, resolve, reject); }); }, handle: function handle(name, fn) { register(name, fn); } }; })', self.context, {
+        filename: 'runspace:rpc'
+    })(function (name, args, resolve, reject) {
+        try {
+            name = String(name);
+            args = cloneValue(args);
+            var fn = getHandler(self._handlers, name);
+            trackCall(self, name, function () {
+                return fn.apply(null, args);
+            }).then(function (value) {
+                resolve(cloneValue(value, self._realm));
+            }).then(null, function (err) {
+                reject(cloneError(self, err, self._realm));
+            });
+        } catch (ex) {
+            reject(cloneError(self, ex, self._realm));
+        }
+    }, function (name, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('handler must be a function');
+        }
+        self._sandboxHandlers[String(name)] = fn;
+    }));
+
+    self.add(vm, builtinOptions('vm', {
+        name: 'vm',
+        call: function (method, fn, args, target, undef) {
+            // code is never evaluated in the host context
+            switch (method) {
+            case 'runInThisContext':
+                return undef.wrap(vm.runInContext(args[0], self.context, args[1]));
+            case 'Script#runInThisContext':
+                return undef.wrap(target.runInContext(self.context, args[0]));
+            case 'createContext':
+                return undef.wrap(createContext(args[0], args[1]));
+            case 'runInNewContext':
+                return undef.wrap(vm.runInContext(args[0], createContext(args[1]), args[2]));
+            case 'Script#runInNewContext':
+                return undef.wrap(target.runInContext(createContext(args[0]), args[1]));
+            case 'compileFunction':
+                args[2] = copyOptions(args[2]);
+                args[2].parsingContext = args[2].parsingContext || self.context;
+                return;
+            }
+        },
+        new: function (name, fn, args) {
+            var index = name === 'SourceTextModule' ? 1 : name === 'SyntheticModule' ? 2 : -1;
+            if (index >= 0) {
+                args[index] = copyOptions(args[index]);
+                args[index].context = args[index].context || self.context;
+            }
+        }
+    }));
+
+    if (!asyncStorage) {
+        // uncaught errors are handled by the domain, but unhandled rejections are left to the host
+        self._domain = domain.create();
+        self._domain.on('error', function (err) {
+            self._domain.exit();
+            if (!self.terminated) {
+                self._emitWithReason('error', 'error', mapError(self, err));
+            }
+        });
+        domainRunspaces.set(self._domain, self);
+    } else {
+        // errors from async code of terminated runspaces are discarded until the operations they started have settled
+        addProcessListeners();
+    }
 
     function forwardExit() {
         processEE.emit('exit');
     }
     process.on('exit', forwardExit);
+    trackAsyncRequests();
     self.once('terminate', function () {
         process.removeListener('exit', forwardExit);
+        releaseHost(self);
         events.removeAllListeners();
         clear(timerCallbacks.immediate, clearImmediate);
         clear(timerCallbacks.interval, clearInterval);
@@ -369,40 +1776,361 @@ function Runspace(scope, options) {
         clear(closeables, function (v) {
             v.close();
         });
+        clear(fds, function (v) {
+            fs.close(v, function () {});
+        });
+        clear(fileHandles, function (v) {
+            v.close().catch(function () {});
+        });
+        resources.clear();
         clear(watchPaths, function (arr, i) {
             clear(arr, function (v) {
                 fs.unwatchFile(i, v);
             });
         });
-        processEE.emit('exit');
+        var err = new Error('proxy terminated');
+        err.code = 'ERR_RUNSPACE_TERMINATED';
+        clear(self._pendingCalls, function (abort) {
+            abort(err);
+        });
+        clear(self._handlers, function () {});
+        clear(self._sandboxHandlers, function () {});
+        clearImmediate(self._idleCheck);
+        clear(self._idleCallbacks, function (resolve) {
+            resolve();
+        });
     });
 }
 util.inherits(Runspace, Proxy);
 
 Runspace.prototype.isPathAllowed = function (path) {
-    return isContained(this.scope, path);
+    return FsPolicy.isContained(this.scope, path) && FsPolicy.isContained(this.fsPolicy.real.scope, FsPolicy.realpath(path));
+};
+Runspace.prototype.defineModule = function (id, exportsOrFactory, proxyOptions) {
+    this.throwIfTerminated();
+    this.moduleLoader.define(id, exportsOrFactory, proxyOptions);
 };
-Runspace.prototype.send = function (message) {
-    message = JSON.parse(JSON.stringify(message));
+Runspace.prototype.registerExtension = function (ext, transform) {
+    this.throwIfTerminated();
+    this.moduleLoader.registerExtension(ext, transform);
+};
+Runspace.prototype.import = function (specifier) {
+    return this.moduleLoader.import(specifier, this.scope).then(function (module) {
+        return module.namespace;
+    });
+};
+Runspace.prototype.send = function (message, options) {
+    message = cloneValue(message, this._realm, options && options.transfer);
+    if (this._parentPort) {
+        // runspaces started by worker_threads.Worker receive messages from parentPort
+        this._parentPort.emit('message', message);
+        return;
+    }
     this.context.process.emit('message', message);
 };
-Runspace.prototype.run = function (code, filename, localVars) {
+// throws an error with code ERR_RUNSPACE_LIMIT when value exceeds the limit of the given name,
+// after the limit event is emitted so that the host can decide to terminate the runspace
+Runspace.prototype._checkLimit = function (name, value) {
+    var max = this.limits[name];
+    if (typeof max === 'number' && value > max) {
+        var err = new Error(util.format('Runspace limit %s of %d exceeded', name, max));
+        err.code = 'ERR_RUNSPACE_LIMIT';
+        err.limit = name;
+        err.max = max;
+        this._emitWithReason('quota', 'limit', {
+            limit: name,
+            max: max,
+            value: value
+        });
+        throw err;
+    }
+};
+// with the graceful option, returns a promise resolved when terminated
+Runspace.prototype.terminate = function (options) {
+    return this._exit(this._terminateReason || 'host', options);
+};
+// sandbox is given the time to finish in beforeExit listeners until idle, or timed out
+Runspace.prototype._exit = function (reason, options) {
+    var self = this;
+    if (!options || !options.graceful) {
+        self._finish(reason);
+        return;
+    }
+    if (self.terminated) {
+        return Promise.resolve();
+    }
+    if (!self._exiting) {
+        var timeout = options.timeout !== undefined ? options.timeout : self.exitTimeout;
+        self._exiting = new Promise(function (resolve) {
+            var timer = setTimeout(function () {
+                self._finish(reason);
+            }, timeout);
+            self.once('terminate', function () {
+                clearTimeout(timer);
+                resolve();
+            });
+            try {
+                self._processEE.emit('beforeExit', Proxy.getExitCode(reason, self._exitCode));
+            } catch (ex) {
+                self._emitWithReason('error', 'error', mapError(self, ex));
+            }
+            self.whenIdle().then(function () {
+                self._finish(reason);
+            });
+        });
+    }
+    return self._exiting;
+};
+// exit listeners of sandbox are called before terminated, so that they can still access proxies
+Runspace.prototype._finish = function (reason) {
+    var self = this;
+    if (self.terminated || self._finishing) {
+        return;
+    }
+    self._finishing = true;
+    try {
+        self._processEE.emit('exit', Proxy.getExitCode(reason, self._exitCode));
+    } catch (ex) {
+        self.emit('error', mapError(self, ex));
+    }
+    self._terminate(reason, self._exitCode);
+};
+Runspace.prototype.whenIdle = function () {
+    var self = this;
+    return new Promise(function (resolve) {
+        if (self.terminated) {
+            return resolve();
+        }
+        self._idleCallbacks.push(resolve);
+        self._scheduleIdleCheck();
+    });
+};
+// async calls and streams, which are not held as resources, keep the runspace busy until the returned function is called
+Runspace.prototype._startOperation = function () {
+    var self = this;
+    var ended = false;
+    self._pendingOperations++;
+    self._active = true;
+    return function () {
+        if (!ended) {
+            ended = true;
+            self._pendingOperations--;
+            self._scheduleIdleCheck();
+            releaseHost(self);
+        }
+    };
+};
+Runspace.prototype._isIdle = function () {
+    var self = this;
+    if (self.terminated) {
+        return true;
+    }
+    return !self._pendingOperations && !self._pendingRequests && !self._pendingCalls.length && ['timers', 'sockets', 'servers', 'watchers'].every(function (v) {
+        return !self._resources.count(v);
+    });
+};
+Runspace.prototype._scheduleIdleCheck = function () {
+    var self = this;
+    if (self._idleCheck || self.terminated) {
+        return;
+    }
+    // checked after pending microtasks, in which promises of sandbox may start other operations
+    self._idleCheck = setImmediate(function () {
+        self._idleCheck = null;
+        if (!self._isIdle()) {
+            return;
+        }
+        var active = self._active;
+        self._active = false;
+        clear(self._idleCallbacks, function (resolve) {
+            resolve();
+        });
+        if (active) {
+            self.emit('idle');
+            if (self.terminateOnIdle) {
+                self._exit('idle');
+            }
+        }
+    });
+};
+Runspace.prototype.getResourceUsage = function () {
+    var self = this;
+    self.throwIfTerminated();
+    var listeners = [];
+    // listeners on process inside sandbox are kept separately from those of the host
+    self._processEE.eventNames().forEach(function (i) {
+        listeners.push({
+            emitter: 'process',
+            eventType: String(i),
+            count: self._processEE.listenerCount(i)
+        });
+    });
+    self._eventManager.emitters.forEach(function (eventTypes, emitter) {
+        Object.keys(eventTypes).forEach(function (i) {
+            if (eventTypes[i].length) {
+                listeners.push({
+                    emitter: getEmitterName(emitter),
+                    eventType: i,
+                    count: eventTypes[i].length
+                });
+            }
+        });
+    });
+    var usage = {
+        timers: self._resources.list('timers'),
+        sockets: self._resources.list('sockets'),
+        servers: self._resources.list('servers'),
+        watchers: self._resources.list('watchers'),
+        files: self._resources.list('files'),
+        workers: self._resources.list('workers'),
+        listeners: listeners,
+        modules: self.moduleLoader.getModules(),
+        proxies: {
+            permanent: self._permMap.size
+        }
+    };
+    usage.counts = {};
+    Object.keys(usage).forEach(function (i) {
+        if (Array.isArray(usage[i])) {
+            usage.counts[i] = usage[i].length;
+        }
+    });
+    usage.counts.listeners = listeners.reduce(function (count, v) {
+        return count + v.count;
+    }, 0);
+    return usage;
+};
+Runspace.prototype.handle = function (name, fn) {
+    this.throwIfTerminated();
+    if (typeof fn !== 'function') {
+        throw new TypeError('handler must be a function');
+    }
+    this._handlers[String(name)] = fn;
+};
+Runspace.prototype.rpc = function (name) {
+    var self = this;
+    var args = Array.prototype.slice.call(arguments, 1);
+    return new Promise(function (resolve) {
+        self.throwIfTerminated();
+        name = String(name);
+        var fn = getHandler(self._sandboxHandlers, name);
+        args = cloneValue(args, self._realm);
+        resolve(trackCall(self, name, function () {
+            var result;
+            try {
+                result = self._invoke(fn, undefined, args);
+            } catch (ex) {
+                throw cloneError(self, ex, null);
+            }
+            return Promise.resolve(result).then(function (value) {
+                return cloneValue(value);
+            }, function (err) {
+                throw cloneError(self, err, null);
+            });
+        }));
+    });
+};
+Runspace.prototype._invoke = function (fn, thisArg, args, timeout) {
+    var self = this;
+    if (currentRunspace() !== self) {
+        // async resources created by untrusted code are attributed to the runspace
+        return runInRunspace(self, function () {
+            return self._invoke(fn, thisArg, args, timeout);
+        });
+    }
+    self._callDepth++;
+    try {
+        return self._invokeWithTimeout(fn, thisArg, args, timeout);
+    } catch (ex) {
+        // process.exit() throws to stop the sandbox code calling it,
+        // which is not reported as an error once the stack is unwound to the host
+        if (self._exitCalled && self._callDepth === 1) {
+            return;
+        }
+        throw ex;
+    } finally {
+        self._callDepth--;
+    }
+};
+Runspace.prototype._invokeWithTimeout = function (fn, thisArg, args, timeout) {
+    var self = this;
+    timeout = timeout === undefined ? self.timeout : timeout;
+    if (!timeout || self._invokeDepth) {
+        // nested calls are already guarded by the outermost watchdog
+        return apply(fn, thisArg, args);
+    }
+    self._invokeDepth++;
+    try {
+        return runWithTimeout(function () {
+            return apply(fn, thisArg, args);
+        }, timeout);
+    } catch (ex) {
+        if (isTimeoutError(ex)) {
+            var err = new Error(util.format('Script execution timed out after %dms', timeout));
+            err.code = 'ERR_SCRIPT_TIMEOUT';
+            if (self.terminateOnTimeout && !self.terminated) {
+                self._exit('timeout');
+            }
+            throw err;
+        }
+        throw ex;
+    } finally {
+        self._invokeDepth--;
+    }
+};
+Runspace.prototype.run = function (code, filename, localVars, options) {
     if (typeof filename === 'object') {
+        options = localVars;
         localVars = filename;
         filename = undefined;
     }
-    return this.compile(code, filename).run(localVars);
+    return this.compile(code, filename).run(localVars, options);
+};
+// resolves with the returned value and whether the runspace is idle,
+// after the runspace becomes idle if the waitForIdle option is true
+Runspace.prototype.runAsync = function (code, filename, localVars, options) {
+    if (typeof filename === 'object') {
+        options = localVars;
+        localVars = filename;
+        filename = undefined;
+    }
+    var self = this;
+    return new Promise(function (resolve) {
+        resolve(self._compile(code, filename, true).run(localVars, options));
+    }).then(function (result) {
+        return options && options.waitForIdle ? self.whenIdle().then(function () {
+            return result;
+        }) : result;
+    }).then(function (result) {
+        return {
+            result: result,
+            idle: self._isIdle()
+        };
+    }, function (ex) {
+        // async code stopped by process.exit() rejects instead of throwing to _invoke()
+        if (self._exitCalled && self.terminated) {
+            return {
+                result: undefined,
+                idle: true
+            };
+        }
+        throw mapError(self, ex);
+    });
 };
 Runspace.prototype.compile = function (code, filename) {
+    return this._compile(code, filename, usesTopLevelAwait(code));
+};
+// code is compiled as the body of an async function if isAsync is true
+Runspace.prototype._compile = function (code, filename, isAsync) {
     var self = this;
     var dirname = filename ? path.dirname(filename) : self.scope;
     var require = self.moduleLoader.requireAt(dirname);
-    var dummy = new vm.Script(code);
+    var dummy = new vm.Script(isAsync ? '(async function () {' + code + '\n})' : code);
     var argNames = [];
     var fn;
 
     return {
-        run: function (localVars) {
+        run: function (localVars, options) {
             if (localVars) {
                 Object.keys(localVars).forEach(function (v) {
                     if (argNames.indexOf(v) < 0) {
@@ -412,7 +2140,13 @@ Runspace.prototype.compile = function (code, filename) {
                 });
             }
             if (!fn) {
-                var script = new vm.Script('(function (' + ['require', '__filename', '__dirname'].concat(argNames).join(', ') + ') {' + code + '\n});', filename);
+                var prefix = (isAsync ? '(async function (' : '(function (') + ['require', '__filename', '__dirname'].concat(argNames).join(', ') + ') {';
+                var script = new vm.Script(prefix + code + '\n});', self.moduleLoader.getScriptOptions(filename, dirname));
+                if (filename) {
+                    self.moduleLoader.addSourceMap(filename, prefix.length, {
+                        code: code
+                    });
+                }
                 fn = self.proxy(script.runInContext(self.context), {
                     functionType: 'out'
                 });
@@ -420,18 +2154,14 @@ Runspace.prototype.compile = function (code, filename) {
             var argList = argNames.map(function (v) {
                 return localVars[v];
             });
-            var returnValue, err;
-            self._domain.run(function () {
-                try {
-                    returnValue = fn.apply(self.context, [require, filename, dirname].concat(argList));
-                } catch (ex) {
-                    err = ex;
-                }
-            });
-            if (err) {
-                throw err;
+            self._active = true;
+            try {
+                return self._invoke(fn, self.context, [require, filename, dirname].concat(argList), options && options.timeout);
+            } catch (ex) {
+                throw mapError(self, ex);
+            } finally {
+                self._scheduleIdleCheck();
             }
-            return returnValue;
         }
     };
 };
@@ -0,0 +1,141 @@
+/*jshint node:true,bitwise:false,regexp:true */
+
+'use strict';
+
+var path = require('path');
+var url = require('url');
+
+var BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// matches '//# sourceMappingURL=' comment at the end of generated code
+var RE_SOURCE_MAPPING_URL = /(?:\/\/[@#][ \t]+sourceMappingURL=([^\s'"]+?)[ \t]*|\/\*[@#][ \t]+sourceMappingURL=([^\*]+?)[ \t]*\*\/)\s*$/;
+
+// matches location of a stack frame, i.e. 'at fn (filename:line:column)' or 'at filename:line:column'
+var RE_STACK_LOCATION = /(\(|at )([^()\s]+|[^()]+?):(\d+):(\d+)(?=\)?$)/gm;
+
+function decodeVLQ(str) {
+    var values = [];
+    var value = 0;
+    var shift = 0;
+    for (var i = 0, length = str.length; i < length; i++) {
+        var digit = BASE64.indexOf(str.charAt(i));
+        if (digit < 0) {
+            throw new SyntaxError('Invalid character in source map mappings');
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = shift = 0;
+        }
+    }
+    return values;
+}
+
+function decodeMappings(mappings) {
+    // each segment is [generated column, source index, original line, original column]
+    // with fields other than generated column accumulated across lines
+    var source = 0;
+    var line = 0;
+    var column = 0;
+    return String(mappings).split(';').map(function (str) {
+        var generatedColumn = 0;
+        var segments = [];
+        str.split(',').forEach(function (v) {
+            if (!v) {
+                return;
+            }
+            var values = decodeVLQ(v);
+            generatedColumn += values[0];
+            if (values.length >= 4) {
+                source += values[1];
+                line += values[2];
+                column += values[3];
+                segments.push([generatedColumn, source, line, column]);
+            } else {
+                segments.push([generatedColumn]);
+            }
+        });
+        return segments;
+    });
+}
+
+function SourceMap(payload, mapFile) {
+    if (typeof payload === 'string') {
+        payload = JSON.parse(payload.replace(/^\)\]\}'[^\n]*\n/, ''));
+    }
+    var sourceRoot = payload.sourceRoot || '';
+    var basedir = mapFile ? path.dirname(mapFile) : '';
+    this.sources = (payload.sources || []).map(function (v) {
+        v = sourceRoot ? sourceRoot.replace(/\/?$/, '/') + v : v;
+        if (/^file:/.test(v)) {
+            return url.fileURLToPath(v);
+        }
+        return basedir && !/^[a-z][a-z0-9+.-]*:/i.test(v) ? path.resolve(basedir, v) : v;
+    });
+    this._lines = decodeMappings(payload.mappings || '');
+}
+
+// line and column are 1-based as in stack traces
+SourceMap.prototype.findPosition = function (line, column) {
+    var segments = this._lines[line - 1];
+    var found = null;
+    if (segments) {
+        for (var i = 0, length = segments.length; i < length && segments[i][0] <= column - 1; i++) {
+            found = segments[i];
+        }
+    }
+    if (!found || found.length < 4) {
+        return null;
+    }
+    return {
+        source: this.sources[found[1]],
+        line: found[2] + 1,
+        column: found[3] + 1
+    };
+};
+
+// reads map from inline data URL or the file referenced by sourceMappingURL comment
+// readFile is called with the path of the map file, and returns undefined if it cannot be read
+SourceMap.fromSource = function (code, filename, readFile) {
+    var m = RE_SOURCE_MAPPING_URL.exec(code);
+    if (!m) {
+        return null;
+    }
+    var mapURL = m[1] || m[2];
+    try {
+        var data = /^data:[^,]*?(;base64)?,(.*)$/.exec(mapURL);
+        if (data) {
+            return new SourceMap(data[1] ? new Buffer(data[2], 'base64').toString() : decodeURIComponent(data[2]), filename);
+        }
+        if (!filename || /^[a-z][a-z0-9+.-]*:/i.test(mapURL) && !/^file:/.test(mapURL)) {
+            return null;
+        }
+        var mapFile = /^file:/.test(mapURL) ? url.fileURLToPath(mapURL) : path.resolve(path.dirname(filename), decodeURIComponent(mapURL));
+        var content = readFile(mapFile);
+        return content === undefined ? null : new SourceMap(content, mapFile);
+    } catch (ex) {
+        // invalid source maps are ignored
+        return null;
+    }
+};
+
+// maps locations in the stack, lookup returns the map and the number of characters
+// prepended to the first line of generated code for the given filename
+SourceMap.mapStack = function (stack, lookup) {
+    return String(stack).replace(RE_STACK_LOCATION, function (all, prefix, filename, line, column) {
+        var entry = lookup(filename);
+        line = +line;
+        column = +column;
+        if (entry) {
+            var position = entry.map.findPosition(line, line === 1 ? column - entry.offset : column);
+            if (position) {
+                return prefix + position.source + ':' + position.line + ':' + position.column;
+            }
+        }
+        return all;
+    });
+};
+
+module.exports = SourceMap;
@@ -0,0 +1,119 @@
+/*jshint node:true,regexp:true */
+
+'use strict';
+
+var path = require('path');
+var url = require('url');
+var util = require('util');
+
+var FsPolicy = require('./fs-policy');
+
+// matches a frame line like '    at fn (location)' or '    at location'
+var RE_FRAME = /^\s+at (?:(.+?) \()?(.+?)\)?$/;
+var RE_LOCATION = /^(.+):(\d+):(\d+)$/;
+var RE_EVAL_ORIGIN = /^eval at .+? \((.+?):\d+:\d+\)/;
+
+// code run by the runspace without a filename
+var ANONYMOUS_SCRIPT = 'evalmachine.<anonymous>';
+
+var MODES = ['strip', 'redact', 'keep'];
+
+function parseFrame(line) {
+    var m = RE_FRAME.exec(line);
+    if (!m) {
+        return null;
+    }
+    var location = m[2];
+    var origin = RE_EVAL_ORIGIN.exec(location);
+    var loc = RE_LOCATION.exec(origin ? location.replace(/^.*, /, '') : location);
+    var file = origin ? origin[1] : loc ? loc[1] : location;
+    if (/^file:/.test(file)) {
+        try {
+            file = url.fileURLToPath(file);
+        } catch (ex) {
+            // keep invalid file URL as-is
+        }
+    }
+    return {
+        function: m[1] ? m[1].replace(/^(?:async |new )/, '') : null,
+        file: file,
+        line: loc && !origin ? +loc[2] : null,
+        column: loc && !origin ? +loc[3] : null
+    };
+}
+
+function StackPolicy(scope, mode) {
+    mode = mode || 'strip';
+    if (MODES.indexOf(mode) < 0) {
+        throw new TypeError(util.format('Unknown hostFrames \'%s\'', mode));
+    }
+    this.scope = scope;
+    this.mode = mode;
+}
+
+// frames of files under the sandbox root, and code run without a filename,
+// other than those of this library installed under the sandbox root
+StackPolicy.prototype.isSandboxFrame = function (frame) {
+    var file = frame.file;
+    if (file === ANONYMOUS_SCRIPT) {
+        return true;
+    }
+    return path.isAbsolute(file) && path.dirname(file) !== __dirname && FsPolicy.isContained(this.scope, file);
+};
+
+StackPolicy.prototype.sanitize = function (stack) {
+    var self = this;
+    if (self.mode === 'keep' || typeof stack !== 'string') {
+        return stack;
+    }
+    // frames of V8 built-ins like 'Array.forEach (<anonymous>)' have no file
+    // and belong to the side of their callers, which are the frames below,
+    // or the host if the caller is not known
+    var isHost = true;
+    var lines = stack.split('\n').reverse().map(function (line) {
+        var frame = parseFrame(line);
+        if (!frame) {
+            return line;
+        }
+        if (frame.file !== '<anonymous>' && frame.file !== 'native') {
+            isHost = !self.isSandboxFrame(frame);
+        }
+        return isHost ? null : line;
+    }).reverse();
+    return lines.filter(function (v, i) {
+        return v !== null || (self.mode === 'redact' && lines[i - 1] !== null);
+    }).map(function (v) {
+        return v === null ? '    at <host>' : v;
+    }).join('\n');
+};
+
+// returns structured frames of sandbox code
+StackPolicy.prototype.getFrames = function (stack) {
+    var self = this;
+    return String(stack).split('\n').map(parseFrame).filter(function (v) {
+        return v && v.line !== null && self.isSandboxFrame(v);
+    });
+};
+
+// formats stack traces inside the sandbox without exposing CallSite objects
+StackPolicy.prototype.format = function (err, callsites) {
+    var header;
+    try {
+        header = Error.prototype.toString.call(err);
+    } catch (ex) {
+        header = 'Error';
+    }
+    try {
+        var frames = Array.prototype.map.call(callsites, function (v) {
+            return '    at ' + v;
+        });
+        return this.sanitize([header].concat(frames).join('\n'));
+    } catch (ex) {
+        // callsites can be arbitrary objects when called by the sandbox
+        return header;
+    }
+};
+
+StackPolicy.parseFrame = parseFrame;
+
+module.exports = StackPolicy;
@@ -0,0 +1,223 @@
+/*jshint node:true */
+/*global Set, structuredClone */
+
+// copies values between the host and sandbox with structured clone semantics
+// objects are created from constructors of the destination realm
+
+'use strict';
+
+var util = require('util');
+var vm = require('vm');
+
+var Map = require('./map');
+var Proxy = require('./proxy');
+
+var TYPED_ARRAYS = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'].filter(function (v) {
+    return typeof global[v] === 'function';
+});
+var REALM_CONSTRUCTORS = ['Object', 'Array', 'Boolean', 'Number', 'String', 'Date', 'RegExp', 'Map', 'Set', 'ArrayBuffer', 'DataView', 'Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError'].concat(TYPED_ARRAYS);
+var UNCLONEABLE_TYPES = ['isPromise', 'isWeakMap', 'isWeakSet', 'isGeneratorObject', 'isMapIterator', 'isSetIterator', 'isModuleNamespaceObject', 'isExternal'];
+
+var types = util.types;
+
+function throwDataCloneError() {
+    var err = new Error(util.format.apply(util, arguments));
+    Object.defineProperty(err, 'name', {
+        value: 'DataCloneError',
+        writable: true,
+        configurable: true
+    });
+    err.code = 'DATA_CLONE_ERR';
+    throw err;
+}
+
+function createRealm(context) {
+    // constructors are collected before any code runs in the context
+    // so that they cannot be replaced by sandboxed code
+    if (!context) {
+        var realm = {};
+        REALM_CONSTRUCTORS.forEach(function (v) {
+            realm[v] = global[v];
+        });
+        return realm;
+    }
+    return vm.runInContext('({' + REALM_CONSTRUCTORS.map(function (v) {
+        return v + ': ' + v;
+    }).join(', ') + '})', context);
+}
+
+var HOST_REALM = createRealm();
+
+function transferBuffer(buffer) {
+    // the transferred buffer is detached and its content is moved to the returned buffer
+    if (typeof buffer.transfer === 'function') {
+        return buffer.transfer();
+    }
+    if (typeof structuredClone === 'function') {
+        return structuredClone(buffer, {
+            transfer: [buffer]
+        });
+    }
+    throwDataCloneError('ArrayBuffer cannot be transferred');
+}
+
+function copyBuffer(buffer, begin, end, realm) {
+    // buffers are created in the destination realm so that constructors of the source are not reachable
+    var result = new realm.ArrayBuffer(end - begin);
+    new Uint8Array(result).set(new Uint8Array(buffer, begin, end - begin));
+    return result;
+}
+
+function defineValue(obj, key, value) {
+    // properties are defined instead of assigned so that setters on prototypes are not triggered
+    Object.defineProperty(obj, key, {
+        value: value,
+        writable: true,
+        enumerable: true,
+        configurable: true
+    });
+}
+
+// realm defaults to the host realm
+function cloneValue(value, realm, transfer) {
+    realm = realm || HOST_REALM;
+    var memory = new Map();
+    var transferred = new Map();
+
+    (transfer || []).forEach(function (v) {
+        if (!types.isArrayBuffer(v)) {
+            throwDataCloneError('Value in transfer list is not an ArrayBuffer');
+        }
+        if (transferred.has(v)) {
+            throwDataCloneError('ArrayBuffer is duplicated in transfer list');
+        }
+        transferred.set(v, null);
+    });
+
+    function clone(value) {
+        var type = typeof value;
+        if (type === 'function') {
+            throwDataCloneError('%s could not be cloned', value.name ? 'function ' + value.name : 'function');
+        }
+        if (type === 'symbol') {
+            throwDataCloneError('%s could not be cloned', String(value));
+        }
+        if (value === null || type !== 'object') {
+            return value;
+        }
+        if (memory.has(value)) {
+            return memory.get(value);
+        }
+        if (types.isProxy(value) || Proxy.isProxy(value)) {
+            throwDataCloneError('Proxied object could not be cloned');
+        }
+        UNCLONEABLE_TYPES.forEach(function (v) {
+            if (types[v] && types[v](value)) {
+                throwDataCloneError('%s could not be cloned', Object.prototype.toString.call(value));
+            }
+        });
+
+        var result;
+        if (types.isArrayBuffer(value)) {
+            if (transferred.has(value)) {
+                result = transferred.get(value);
+                if (!result) {
+                    result = transferBuffer(value);
+                    if (realm !== HOST_REALM) {
+                        // content moved out of the transferred buffer still has to be copied into the realm
+                        result = copyBuffer(result, 0, result.byteLength, realm);
+                    }
+                    transferred.set(value, result);
+                }
+            } else {
+                result = copyBuffer(value, 0, value.byteLength, realm);
+            }
+            memory.set(value, result);
+            return result;
+        }
+        if (types.isSharedArrayBuffer(value)) {
+            memory.set(value, value);
+            return value;
+        }
+        if (ArrayBuffer.isView(value)) {
+            // views of the same buffer share the cloned buffer, but only the viewed part is copied
+            // for views of part of a buffer, like pooled Buffers, unless the buffer is transferred
+            var buffer = value.buffer;
+            var byteOffset = value.byteOffset;
+            if (value.byteLength === buffer.byteLength || transferred.has(buffer)) {
+                buffer = clone(buffer);
+            } else {
+                buffer = copyBuffer(buffer, byteOffset, byteOffset + value.byteLength, realm);
+                byteOffset = 0;
+            }
+            // Buffers are cloned as Uint8Arrays into other realms as Buffer belongs to the host
+            if (Buffer.isBuffer(value) && realm === HOST_REALM) {
+                result = Buffer.from(buffer, byteOffset, value.length);
+            } else if (types.isDataView(value)) {
+                result = new realm.DataView(buffer, byteOffset, value.byteLength);
+            } else {
+                var ctor = TYPED_ARRAYS.filter(function (v) {
+                    return types['is' + v](value);
+                })[0];
+                result = new realm[ctor](buffer, byteOffset, value.length);
+            }
+            memory.set(value, result);
+            return result;
+        }
+        if (types.isBoxedPrimitive(value)) {
+            result = realm.Object(value.valueOf());
+        } else if (types.isDate(value)) {
+            result = new realm.Date(value.getTime());
+        } else if (types.isRegExp(value)) {
+            result = new realm.RegExp(value.source, value.flags);
+        } else if (types.isNativeError(value)) {
+            var name = String(value.name);
+            var ErrorCtor = REALM_CONSTRUCTORS.indexOf(name) >= 0 && /Error$/.test(name) ? realm[name] : realm.Error;
+            result = new ErrorCtor(String(value.message));
+            if (ErrorCtor === realm.Error && name !== 'Error') {
+                // names of other errors like DataCloneError are kept
+                Object.defineProperty(result, 'name', {
+                    value: name,
+                    writable: true,
+                    configurable: true
+                });
+            }
+            Object.defineProperty(result, 'stack', {
+                value: String(value.stack),
+                writable: true,
+                configurable: true
+            });
+        } else if (types.isMap(value)) {
+            result = new realm.Map();
+            memory.set(value, result);
+            Map.prototype.forEach.call(value, function (v, i) {
+                result.set(clone(i), clone(v));
+            });
+            return result;
+        } else if (types.isSet(value)) {
+            result = new realm.Set();
+            memory.set(value, result);
+            Set.prototype.forEach.call(value, function (v) {
+                result.add(clone(v));
+            });
+            return result;
+        } else if (Array.isArray(value)) {
+            result = new realm.Array(value.length);
+        } else {
+            result = new realm.Object();
+        }
+        memory.set(value, result);
+        if (!types.isNativeError(value)) {
+            Object.keys(value).forEach(function (i) {
+                defineValue(result, i, clone(value[i]));
+            });
+        }
+        return result;
+    }
+
+    return clone(value);
+}
+
+cloneValue.createRealm = createRealm;
+
+module.exports = cloneValue;
@@ -0,0 +1,188 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('builtins' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function createRunspace(builtins) {
+            runspace.terminate();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                builtins: builtins
+            });
+        }
+
+        it('should deny child_process, cluster and repl by default', function () {
+            return Promise.all(['child_process', 'cluster', 'repl'].map(function (name) {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("' + name + '")');
+                });
+            }));
+        });
+
+        it('should deny or allow modules by the builtins option', function () {
+            createRunspace({
+                child_process: true,
+                zlib: false
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("zlib")');
+            }).then(function () {
+                return runspace.runAsync('return typeof require("child_process").execFile');
+            }).then(function (value) {
+                assert.strictEqual(value.result, 'function');
+            });
+        });
+
+        it('should apply the policy of a module to its subpaths and node: ids', function () {
+            createRunspace({
+                fs: false
+            });
+            return Promise.all(['fs', 'node:fs', 'fs/promises', 'node:fs/promises'].map(function (id) {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("' + id + '")');
+                });
+            }));
+        });
+
+        it('should apply policies keyed by node: ids', function () {
+            createRunspace({
+                'node:zlib': false
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("zlib")');
+            });
+        });
+
+        it('should deny subpaths of modules replaced by the exports option', function () {
+            createRunspace({
+                fs: {
+                    exports: {}
+                }
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs/promises")');
+            }).then(function () {
+                return runspace.runAsync('return Object.keys(require("fs"))');
+            }).then(function (value) {
+                assert.deepEqual(value.result, []);
+            });
+        });
+
+        it('should let subpaths have their own policies', function () {
+            createRunspace({
+                fs: false,
+                'fs/promises': true
+            });
+            return runspace.runAsync('return typeof require("fs/promises").readFile').then(function (value) {
+                assert.strictEqual(value.result, 'function');
+            });
+        });
+
+        it('should deny members listed in the deny option of a module', function () {
+            createRunspace({
+                os: {
+                    deny: ['networkInterfaces']
+                }
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("os").networkInterfaces()');
+            }).then(function () {
+                return runspace.runAsync('return require("os").EOL');
+            }).then(function (value) {
+                assert.strictEqual(value.result, require('os').EOL);
+            });
+        });
+
+        it('should combine the deny option with the restrictions of the runspace', function () {
+            createRunspace({
+                fs: {
+                    deny: ['readdirSync']
+                }
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").readdirSync(".")');
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").readFileSync("/etc/hostname")');
+                });
+            });
+        });
+
+        it('should call interceptors of a module before those of the runspace', function () {
+            var calls = [];
+            createRunspace({
+                fs: {
+                    call: function (name, fn, args) {
+                        calls.push(name);
+                        if (args[0] === 'virtual.txt') {
+                            return 'virtual';
+                        }
+                    }
+                }
+            });
+            return runspace.runAsync('return require("fs").readFileSync("virtual.txt")').then(function (value) {
+                assert.strictEqual(value.result, 'virtual');
+                assert.deepEqual(calls, ['readFileSync']);
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").readFileSync("/etc/hostname")');
+                });
+            });
+        });
+
+        it('should replace the implementation of a module by the exports option', function () {
+            createRunspace({
+                child_process: {
+                    exports: {
+                        execFile: function (file, args, callback) {
+                            callback(null, file + ' ' + args.join(' '));
+                        }
+                    }
+                }
+            });
+            return runspace.runAsync('var cp = require("child_process"); return await new Promise(function (resolve) { cp.execFile("ls", ["-l"], function (err, stdout) { resolve(stdout) }) })').then(function (value) {
+                assert.strictEqual(value.result, 'ls -l');
+            });
+        });
+
+        it('should block the performance timeline of perf_hooks', function () {
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("perf_hooks").performance.getEntries()');
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("perf_hooks").performance.mark("a")');
+                });
+            });
+        });
+
+        it('should block construction of PerformanceObserver', function () {
+            return support.expectCode('EACCES', function () {
+                runspace.run('new (require("perf_hooks").PerformanceObserver)(function () {})');
+            });
+        });
+
+        it('should allow timing functions of perf_hooks', function () {
+            return runspace.runAsync('var performance = require("perf_hooks").performance; return [typeof performance.now(), typeof performance.timeOrigin, typeof performance.eventLoopUtilization().utilization]').then(function (value) {
+                assert.deepEqual(value.result, ['number', 'number', 'number']);
+            });
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var path = require('path');
+
+var support = require('./support');
+
+// errors are run in a separate process as the uncaughtException listener of mocha would receive them as well
+function runHost(scope, code) {
+    var script = 'var Runspace = require(' + JSON.stringify(path.resolve(__dirname, '../runspace')) + ');' +
+        'var scope = ' + JSON.stringify(scope) + ';' +
+        'function record(value) { process.stdout.write(JSON.stringify(value) + "\\n"); }' + code;
+    return new Promise(function (resolve, reject) {
+        childProcess.execFile(process.execPath, ['-e', script], {
+            timeout: 10000
+        }, function (err, stdout, stderr) {
+            if (err && !stderr) {
+                return reject(err);
+            }
+            resolve({
+                records: stdout.split('\n').filter(Boolean).map(JSON.parse),
+                stderr: stderr
+            });
+        });
+    });
+}
+
+describe('async errors', function () {
+    var scope;
+    beforeEach(function () {
+        scope = support.createScope({
+            'in.txt': 'in'
+        });
+    });
+    afterEach(function () {
+        support.removeScope(scope);
+    });
+
+    it('should emit errors of callbacks through the runspace where they originate', function () {
+        return runHost(scope, [
+            'var a = new Runspace(scope), b = new Runspace(scope);',
+            'a.on("error", function (err) { record(["a", err.message]) });',
+            'b.on("error", function (err) { record(["b", err.message]) });',
+            'a.run("setTimeout(function () { throw new Error(\\"timer\\") }, 1)");',
+            'b.run("require(\\"fs\\").stat(\\".\\", function () { throw new Error(\\"fs\\") })");',
+            'setTimeout(function () { a.terminate(); b.terminate(); }, 100);'
+        ].join('\n')).then(function (result) {
+            assert.deepEqual(result.records.sort(), [['a', 'timer'], ['b', 'fs']]);
+        });
+    });
+
+    it('should emit unhandled rejections through the runspace where they originate', function () {
+        return runHost(scope, [
+            'var a = new Runspace(scope);',
+            'a.on("unhandledRejection", function (reason) { record(reason.message) });',
+            'a.run("Promise.reject(new Error(\\"rejected\\"))");',
+            'setTimeout(function () { a.terminate(); }, 100);'
+        ].join('\n')).then(function (result) {
+            assert.deepEqual(result.records, ['rejected']);
+        });
+    });
+
+    it('should emit timeout errors of callbacks', function () {
+        return runHost(scope, [
+            'var a = new Runspace(scope, { timeout: 50 });',
+            'a.on("error", function (err) { record([err.code, !!a.terminated]) });',
+            'a.run("setTimeout(function () { while (true) {} }, 1)");',
+            'setTimeout(function () { a.terminate(); }, 200);'
+        ].join('\n')).then(function (result) {
+            assert.deepEqual(result.records, [['ERR_SCRIPT_TIMEOUT', false]]);
+        });
+    });
+
+    it('should discard errors of terminated runspaces', function () {
+        return runHost(scope, [
+            'var a = new Runspace(scope);',
+            'a.on("error", function (err) { record(err.message) });',
+            'a.run("require(\\"fs\\").stat(\\".\\", function () { throw new Error(\\"fs\\") })");',
+            'a.run("require(\\"fs\\").promises.readFile(\\"in.txt\\").then(function () { throw new Error(\\"fs.promises\\") })");',
+            'a.terminate();',
+            'setTimeout(function () { record("done") }, 100);'
+        ].join('\n')).then(function (result) {
+            assert.deepEqual(result.records, ['done']);
+        });
+    });
+
+    it('should remove listeners on process once runspaces are terminated', function () {
+        return runHost(scope, [
+            'function count() { return [process.listenerCount("uncaughtException"), process.listenerCount("unhandledRejection")]; }',
+            'var before = count();',
+            'var a = new Runspace(scope), b = new Runspace(scope);',
+            'record(count()[0] > before[0] && count()[1] > before[1]);',
+            'a.terminate();',
+            'setTimeout(function () { record(count()[0] > before[0]); b.terminate(); }, 50);',
+            'setTimeout(function () { record([before, count()]); }, 100);'
+        ].join('\n')).then(function (result) {
+            assert.strictEqual(result.records.length, 3);
+            assert.deepEqual(result.records.slice(0, 2), [true, true]);
+            assert.deepEqual(result.records[2][1], result.records[2][0]);
+        });
+    });
+
+    it('should leave errors of the host to the default handling', function () {
+        return runHost(scope, [
+            'var a = new Runspace(scope);',
+            'setTimeout(function () { throw new Error("host") }, 1);'
+        ].join('\n')).then(function (result) {
+            assert.ok(/Error: host/.test(result.stderr));
+        });
+    });
+});
@@ -0,0 +1,59 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var vm = require('vm');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+(vm.SourceTextModule ? describe : describe.skip)('ECMAScript modules', function () {
+    var scope, runspace;
+    beforeEach(function () {
+        scope = support.createScope({
+            'main.mjs': [
+                'import lib, { x } from "./lib.cjs";',
+                'import { value } from "./pkg/index.js";',
+                'export var sum = lib.y + x + value;',
+                'export var awaited = await Promise.resolve("awaited");'
+            ].join('\n'),
+            'lib.cjs': 'module.exports = { x: 1, y: 2 };',
+            'pkg/package.json': '{ "type": "module" }',
+            'pkg/index.js': 'export var value = 3;',
+            'dynamic.js': 'module.exports = import("./pkg/index.js");',
+            'builtin.mjs': 'import { readFileSync } from "fs"; export default readFileSync("/etc/hostname");'
+        });
+        runspace = new Runspace(scope);
+    });
+    afterEach(function () {
+        runspace.terminate();
+        support.removeScope(scope);
+    });
+
+    it('should import ES modules with CommonJS and ES module dependencies', function () {
+        return runspace.import('./main.mjs').then(function (ns) {
+            assert.strictEqual(ns.sum, 6);
+            assert.strictEqual(ns.awaited, 'awaited');
+        });
+    });
+
+    it('should import ES modules by import() from CommonJS modules', function () {
+        return runspace.runAsync('return (await require("./dynamic")).value').then(function (value) {
+            assert.strictEqual(value.result, 3);
+        });
+    });
+
+    it('should throw ERR_REQUIRE_ESM when requiring ES modules', function () {
+        return support.expectCode('ERR_REQUIRE_ESM', function () {
+            runspace.run('require("./main.mjs")');
+        });
+    });
+
+    it('should import built-in modules with the same restrictions', function () {
+        return support.expectCode('EACCES', function () {
+            return runspace.import('./builtin.mjs');
+        });
+    });
+});
@@ -0,0 +1,185 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('fs methods' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var outside, scope, runspace;
+        beforeEach(function () {
+            outside = support.createScope({
+                'secret.txt': 'secret'
+            });
+            scope = support.createScope({
+                'in.txt': 'hello'
+            });
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+            support.removeScope(outside);
+        });
+
+        ['ReadStream', 'FileReadStream'].forEach(function (name) {
+            it('should check paths of streams constructed by fs.' + name, function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('new (require("fs").' + name + ')(filename)', {
+                        filename: path.join(outside, 'secret.txt')
+                    });
+                });
+            });
+        });
+
+        ['WriteStream', 'FileWriteStream'].forEach(function (name) {
+            it('should check paths of streams constructed by fs.' + name, function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('new (require("fs").' + name + ')(filename)', {
+                        filename: path.join(outside, 'new.txt')
+                    });
+                }).then(function () {
+                    assert.ok(!fs.existsSync(path.join(outside, 'new.txt')));
+                });
+            });
+        });
+
+        it('should resolve paths of constructed streams from the sandbox root', function () {
+            return new Promise(function (resolve, reject) {
+                runspace.run('new (require("fs").ReadStream)("in.txt", "utf8").on("data", resolve).on("error", reject)', {
+                    resolve: resolve,
+                    reject: reject
+                });
+            }).then(function (data) {
+                assert.strictEqual(data, 'hello');
+            });
+        });
+
+        it('should check paths of createReadStream() and createWriteStream()', function () {
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").createReadStream(filename)', {
+                    filename: path.join(outside, 'secret.txt')
+                });
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").createWriteStream(filename)', {
+                        filename: path.join(outside, 'new.txt')
+                    });
+                });
+            });
+        });
+
+        it('should check paths of functions exposed by accessors', function () {
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").opendirSync(dirname)', {
+                    dirname: outside
+                });
+            });
+        });
+
+        it('should accept file handles opened by sandbox in fs.promises', function () {
+            return runspace.runAsync('var fh = await require("fs").promises.open("in.txt"); try { return await require("fs").promises.readFile(fh, "utf8") } finally { await fh.close() }').then(function (value) {
+                assert.strictEqual(value.result, 'hello');
+            });
+        });
+
+        it('should release watchers of fs.promises.watch() when the iterator returns', function () {
+            var counts = [];
+            return runspace.runAsync('var fs = require("fs"); var watcher = fs.promises.watch("."); record(); setTimeout(function () { fs.writeFileSync("in.txt", "changed") }, 20); for await (var event of watcher) { break } record()', {
+                record: function () {
+                    counts.push(runspace.getResourceUsage().counts.watchers);
+                }
+            }).then(function () {
+                assert.deepEqual(counts, [1, 0]);
+            });
+        });
+
+        it('should check targets of symbolic links dereferenced by fs.cp()', function () {
+            fs.mkdirSync(path.join(scope, 'dir'));
+            fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(scope, 'dir/link.txt'));
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").cpSync("dir", "copy", { recursive: true, dereference: true })');
+            }).then(function () {
+                assert.ok(!fs.existsSync(path.join(scope, 'copy/link.txt')));
+                return support.expectCode('EACCES', function () {
+                    return runspace.runAsync('return require("fs").promises.cp("dir", "copy", { recursive: true, dereference: true })');
+                });
+            }).then(function () {
+                return runspace.runAsync('require("fs").cpSync("dir", "copy", { recursive: true }); return require("fs").readlinkSync("copy/link.txt")');
+            }).then(function (value) {
+                assert.strictEqual(value.result, path.join(outside, 'secret.txt'));
+            });
+        });
+
+        it('should reject fs.promises calls with paths outside the sandbox', function () {
+            return support.expectCode('EACCES', function () {
+                return runspace.runAsync('return require("fs").promises.readFile(filename)', {
+                    filename: path.join(outside, 'secret.txt')
+                });
+            });
+        });
+
+        it('should reject file descriptors not opened by sandbox', function () {
+            var fd = fs.openSync(path.join(outside, 'secret.txt'), 'r');
+            return support.expectCode('EBADF', function () {
+                runspace.run('require("fs").fstatSync(fd)', {
+                    fd: fd
+                });
+            }).then(function () {
+                return support.expectCode('EBADF', function () {
+                    runspace.run('require("fs").createReadStream(null, { fd: fd })', {
+                        fd: fd
+                    });
+                });
+            }).then(function () {
+                fs.closeSync(fd);
+            }, function (err) {
+                fs.closeSync(fd);
+                throw err;
+            });
+        });
+
+        it('should close file descriptors opened by sandbox when terminated', function () {
+            var fd;
+            return runspace.runAsync('return require("fs").openSync("in.txt", "r")').then(function (value) {
+                fd = value.result;
+                assert.ok(fs.fstatSync(fd).isFile());
+                runspace.terminate();
+                return support.delay(50);
+            }).then(function () {
+                assert.throws(function () {
+                    fs.fstatSync(fd);
+                }, function (err) {
+                    return err.code === 'EBADF';
+                });
+            });
+        });
+
+        it('should release file descriptors closed by streams', function () {
+            return new Promise(function (resolve, reject) {
+                runspace.run('var fd = require("fs").openSync("in.txt", "r");' +
+                    'require("fs").createReadStream(null, { fd: fd }).on("error", reject).on("close", function () { resolve(fd); }).resume()', {
+                    resolve: resolve,
+                    reject: reject
+                });
+            }).then(function (fd) {
+                assert.ok(!runspace.getResourceUsage().files.some(function (v) {
+                    return v.fd === fd;
+                }));
+                return support.expectCode('EBADF', function () {
+                    runspace.run('require("fs").fstatSync(fd)', {
+                        fd: fd
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,213 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('fs policy' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope({
+                'in.txt': 'hello',
+                '.env': 'SECRET=1',
+                'data/out.txt': 'data',
+                'data/locked/file.txt': 'locked'
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function createRunspace(options) {
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                fs: options
+            });
+        }
+
+        function run(code) {
+            return runspace.runAsync(code).then(function (value) {
+                return value.result;
+            });
+        }
+
+        it('should allow reading and writing the sandbox root by default', function () {
+            createRunspace({});
+            return run('var fs = require("fs"); fs.writeFileSync("new.txt", "new"); return fs.readFileSync("new.txt", "utf8")').then(function (result) {
+                assert.strictEqual(result, 'new');
+            });
+        });
+
+        it('should block writes to readOnly directories', function () {
+            createRunspace({
+                readOnly: ['.']
+            });
+            return run('return require("fs").readFileSync("in.txt", "utf8")').then(function (result) {
+                assert.strictEqual(result, 'hello');
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").writeFileSync("in.txt", "changed")');
+                });
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").mkdirSync("dir")');
+                });
+            }).then(function () {
+                assert.strictEqual(fs.readFileSync(path.join(scope, 'in.txt'), 'utf8'), 'hello');
+                assert.ok(!fs.existsSync(path.join(scope, 'dir')));
+            });
+        });
+
+        it('should allow writes to readWrite directories under readOnly directories', function () {
+            createRunspace({
+                readOnly: ['.'],
+                readWrite: ['data']
+            });
+            return run('require("fs").writeFileSync("data/out.txt", "changed")').then(function () {
+                assert.strictEqual(fs.readFileSync(path.join(scope, 'data/out.txt'), 'utf8'), 'changed');
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").renameSync("data/out.txt", "out.txt")');
+                });
+            });
+        });
+
+        it('should block paths outside readOnly and readWrite directories', function () {
+            createRunspace({
+                readWrite: ['data']
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").readFileSync("in.txt")');
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").statSync("in.txt")');
+                });
+            });
+        });
+
+        it('should block any access to paths matching deny patterns', function () {
+            createRunspace({
+                deny: ['**/.env', 'data/locked/**']
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").readFileSync(".env")');
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").existsSync("data/locked/file.txt") || require("fs").statSync("data/locked/file.txt")');
+                });
+            }).then(function () {
+                return run('return require("fs").readFileSync("data/out.txt", "utf8")');
+            }).then(function (result) {
+                assert.strictEqual(result, 'data');
+            });
+        });
+
+        it('should block requiring modules matching deny patterns', function () {
+            createRunspace({
+                deny: ['data/locked/**']
+            });
+            support.writeFiles(scope, {
+                'data/locked/creds.json': '{ "secret": 1 }'
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("./data/locked/creds.json")');
+            });
+        });
+
+        it('should block writes to paths matching denyWrite patterns', function () {
+            createRunspace({
+                denyWrite: ['data/**']
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").writeFileSync("data/out.txt", "changed")');
+            }).then(function () {
+                return run('return require("fs").readFileSync("data/out.txt", "utf8")');
+            }).then(function (result) {
+                assert.strictEqual(result, 'data');
+            });
+        });
+
+        it('should classify open() by its flags', function () {
+            createRunspace({
+                readOnly: ['.']
+            });
+            return run('var fs = require("fs"); var fd = fs.openSync("in.txt", "r"); fs.closeSync(fd); return typeof fd').then(function (result) {
+                assert.strictEqual(result, 'number');
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").openSync("in.txt", "a")');
+                });
+            });
+        });
+
+        [
+            ['open() with O_TRUNC', 'fs.openSync("in.txt", fs.constants.O_RDONLY | fs.constants.O_TRUNC)'],
+            ['open() with O_CREAT', 'fs.openSync("new.txt", fs.constants.O_CREAT)'],
+            ['open() with O_APPEND', 'fs.openSync("in.txt", fs.constants.O_RDONLY | fs.constants.O_APPEND)'],
+            ['readFile() with the flag option', 'fs.readFileSync("in.txt", { flag: "w+" })'],
+            ['readFile() creating files', 'fs.readFileSync("new.txt", { flag: "a+" })'],
+            ['createReadStream() with the flags option', 'fs.createReadStream("in.txt", { flags: "w+" })'],
+            ['fs.promises.readFile() with the flag option', 'return fs.promises.readFile("in.txt", { flag: "w+" })']
+        ].forEach(function (test) {
+            it('should check ' + test[0] + ' as a write', function () {
+                createRunspace({
+                    readOnly: ['.']
+                });
+                return support.expectCode('EACCES', function () {
+                    return runspace.runAsync('var fs = require("fs"); ' + test[1]);
+                }).then(function () {
+                    assert.strictEqual(fs.readFileSync(path.join(scope, 'in.txt'), 'utf8'), 'hello');
+                    assert.ok(!fs.existsSync(path.join(scope, 'new.txt')));
+                });
+            });
+        });
+
+        it('should check readFile() and createReadStream() with read-only flags as a read', function () {
+            createRunspace({
+                readOnly: ['.']
+            });
+            return run('var fs = require("fs"); return fs.readFileSync("in.txt", { flag: "r", encoding: "utf8" }) + fs.readFileSync("in.txt", "utf8")').then(function (result) {
+                assert.strictEqual(result, 'hellohello');
+            });
+        });
+
+        it('should check paths given as Buffers and file URLs', function () {
+            createRunspace({
+                readOnly: ['.']
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").writeFileSync(Buffer.from("in.txt"), "changed")');
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").writeFileSync(new (require("url").URL)(href), "changed")', {
+                        href: url.pathToFileURL(path.join(scope, 'in.txt')).href
+                    });
+                });
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").readFileSync(new (require("url").URL)("file:///etc/hostname"))');
+                });
+            });
+        });
+
+        it('should apply the same rules to fs.promises', function () {
+            createRunspace({
+                readOnly: ['.'],
+                deny: ['**/.env']
+            });
+            return support.expectCode('EACCES', function () {
+                return runspace.runAsync('await require("fs/promises").writeFile("in.txt", "changed")');
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    return runspace.runAsync('await require("fs").promises.readFile(".env")');
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('idle' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        it('should be idle after synchronous code', function () {
+            return runspace.runAsync('return 1').then(function (value) {
+                assert.deepEqual(value, {
+                    result: 1,
+                    idle: true
+                });
+            });
+        });
+
+        [
+            ['crypto', 'require("crypto").pbkdf2("a", "b", 1000, 32, "sha256", done)'],
+            ['crypto.subtle', 'require("crypto").webcrypto.subtle.digest("SHA-256", new Uint8Array(3)).then(function () { done() })'],
+            ['dns', 'require("dns").lookup("localhost", function () { done() })'],
+            ['zlib', 'require("zlib").gzip("abc", done)'],
+            ['zlib streams', 'var gzip = require("zlib").createGzip(); gzip.resume(); gzip.on("close", done); gzip.end("abc")'],
+            ['async code', 'await null; require("crypto").randomBytes(8, done)']
+        ].forEach(function (test) {
+            it('should be busy until callbacks of ' + test[0] + ' are called', function () {
+                var calls = 0;
+                var idle = support.once(runspace, 'idle');
+                return runspace.runAsync(test[1], {
+                    done: function () {
+                        calls++;
+                    }
+                }).then(function (value) {
+                    assert.strictEqual(value.idle, false);
+                    return idle;
+                }).then(function () {
+                    assert.strictEqual(calls, 1);
+                });
+            });
+        });
+
+        it('should terminate on idle after pending requests are done', function () {
+            runspace.terminate();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                terminateOnIdle: true
+            });
+            var calls = 0;
+            var terminated = support.once(runspace, 'terminate');
+            runspace.run('require("crypto").pbkdf2("a", "b", 1000, 32, "sha256", done)', {
+                done: function () {
+                    calls++;
+                }
+            });
+            return terminated.then(function (args) {
+                assert.strictEqual(args[0].reason, 'idle');
+                assert.strictEqual(calls, 1);
+            });
+        });
+    });
+});
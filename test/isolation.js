@@ -0,0 +1,105 @@
+/*jshint node:true,mocha:true */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+['worker', 'process'].forEach(function (isolation) {
+    describe('isolation: ' + isolation, function () {
+        this.timeout(10000);
+
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope();
+            runspace = null;
+        });
+        afterEach(function () {
+            if (runspace) {
+                runspace.terminate();
+            }
+            support.removeScope(scope);
+        });
+
+        it('should run code in the child', function () {
+            runspace = new Runspace(scope, {
+                isolation: isolation
+            });
+            return runspace.runAsync('return [1, 2].map(function (v) { return v * 2 })').then(function (value) {
+                assert.deepEqual(value.result, [2, 4]);
+            });
+        });
+
+        it('should reject function options before starting the child', function () {
+            assert.throws(function () {
+                runspace = new Runspace(scope, {
+                    isolation: isolation,
+                    process: {
+                        pid: function () {
+                            return 1;
+                        }
+                    }
+                });
+            }, function (err) {
+                return err instanceof TypeError && /options\.process\.pid/.test(err.message);
+            });
+        });
+
+        it('should pass nested objects of host objects', function () {
+            runspace = new Runspace(scope, {
+                isolation: isolation
+            });
+            var api = runspace.add({
+                name: 'api',
+                nested: {
+                    value: 1,
+                    inner: {
+                        value: 2
+                    },
+                    get: function (value) {
+                        return value * 2;
+                    }
+                }
+            });
+            var code = 'return api.nested.get(api.nested.inner.value).then(function (value) {' +
+                '    return [api.name, api.nested.value, value];' +
+                '})';
+            return runspace.runAsync(code, { api: api }).then(function (value) {
+                assert.deepEqual(value.result, ['api', 1, 4]);
+            });
+        });
+
+        it('should reject host objects with circular references', function () {
+            runspace = new Runspace(scope, {
+                isolation: isolation
+            });
+            var obj = {
+                nested: {}
+            };
+            obj.nested.parent = obj;
+            assert.throws(function () {
+                runspace.add(obj);
+            }, function (err) {
+                return err instanceof TypeError && /^Circular reference at 'nested\.parent/.test(err.message);
+            });
+        });
+
+        it('should report process.exit() by the terminate event', function () {
+            runspace = new Runspace(scope, {
+                isolation: isolation
+            });
+            var terminated = support.once(runspace, 'terminate');
+            return runspace.run('process.exit(3)').then(function (result) {
+                assert.strictEqual(result, undefined);
+                return terminated;
+            }).then(function (args) {
+                assert.deepEqual(args[0], {
+                    reason: 'exit',
+                    code: 3
+                });
+            });
+        });
+    });
+});
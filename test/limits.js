@@ -0,0 +1,115 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('limits' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace, events;
+        beforeEach(function () {
+            scope = support.createScope({
+                'a.js': 'module.exports = require("./b");',
+                'b.js': 'module.exports = "b";'
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function createRunspace(limits) {
+            events = [];
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                limits: limits
+            });
+            runspace.on('limit', function (event) {
+                events.push(event);
+            });
+        }
+
+        function expectLimit(name, max, code) {
+            return support.expectCode('ERR_RUNSPACE_LIMIT', function () {
+                return runspace.runAsync(code);
+            }).then(function (err) {
+                assert.strictEqual(err.limit, name);
+                assert.strictEqual(err.max, max);
+                assert.deepEqual(events, [{
+                    limit: name,
+                    max: max,
+                    value: max + 1
+                }]);
+            });
+        }
+
+        it('should limit timers', function () {
+            createRunspace({
+                maxTimers: 2
+            });
+            return expectLimit('maxTimers', 2, 'setTimeout(function () {}, 1000); setInterval(function () {}, 1000); setImmediate(function () {})');
+        });
+
+        it('should count timers until they are called or cleared', function () {
+            createRunspace({
+                maxTimers: 1
+            });
+            return runspace.runAsync('clearTimeout(setTimeout(function () {}, 1000)); await new Promise(function (resolve) { setTimeout(resolve, 1) }); setTimeout(function () {}, 1000)').then(function () {
+                assert.deepEqual(events, []);
+            });
+        });
+
+        it('should limit modules', function () {
+            createRunspace({
+                maxModules: 1
+            });
+            return expectLimit('maxModules', 1, 'require("./a")');
+        });
+
+        it('should limit watchers', function () {
+            createRunspace({
+                maxWatchers: 1
+            });
+            return expectLimit('maxWatchers', 1, 'var fs = require("fs"); fs.watch("a.js"); fs.watchFile("b.js", function () {})');
+        });
+
+        it('should limit servers', function () {
+            createRunspace({
+                maxServers: 1
+            });
+            return expectLimit('maxServers', 1, 'require("net").createServer(); require("http").createServer()');
+        });
+
+        it('should limit bytes written to process.stdout', function () {
+            createRunspace({
+                maxStdoutBytes: 10
+            });
+            return expectLimit('maxStdoutBytes', 10, 'process.stdout.write("12345"); process.stdout.write("123456")');
+        });
+
+        it('should limit listeners on emitters created by sandbox', function () {
+            createRunspace({
+                maxListenersPerEmitter: 2
+            });
+            return expectLimit('maxListenersPerEmitter', 2, 'var ee = new (require("events"))(); for (var i = 0; i < 3; i++) { ee.on("a", function () {}) }');
+        });
+
+        it('should limit listeners on emitters returned from built-ins', function () {
+            createRunspace({
+                maxListenersPerEmitter: 2
+            });
+            return expectLimit('maxListenersPerEmitter', 2, 'var server = require("net").createServer(); for (var i = 0; i < 3; i++) { server.on("error", function () {}) }');
+        });
+
+        it('should limit listeners on process', function () {
+            createRunspace({
+                maxListenersPerEmitter: 2
+            });
+            return expectLimit('maxListenersPerEmitter', 2, 'for (var i = 0; i < 3; i++) { process.on("exit", function () {}) }');
+        });
+    });
+});
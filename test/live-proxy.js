@@ -0,0 +1,107 @@
+/*jshint node:true,mocha:true */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+describe('live proxy', function () {
+    var scope, runspace;
+    beforeEach(function () {
+        scope = support.createScope();
+        runspace = new Runspace(scope, {
+            liveProxy: true
+        });
+    });
+    afterEach(function () {
+        runspace.terminate();
+        support.removeScope(scope);
+    });
+
+    it('should reflect properties added and deleted after creation', function () {
+        var registry = {};
+        var keys = runspace.compile('out(Object.keys(registry), "plugin" in registry)');
+        var result = [];
+        var globals = {
+            registry: runspace.add(registry),
+            out: function (keys, has) {
+                result.push([keys, has]);
+            }
+        };
+        keys.run(globals);
+        registry.plugin = {};
+        keys.run(globals);
+        delete registry.plugin;
+        keys.run(globals);
+        assert.deepEqual(result, [[[], false], [['plugin'], true], [[], false]]);
+    });
+
+    it('should write properties set and defined by sandbox to the target', function () {
+        var target = {};
+        runspace.run('target.a = 1; Object.defineProperty(target, "b", { value: 2, enumerable: true }); delete target.c;', {
+            target: runspace.add(target)
+        });
+        assert.strictEqual(target.a, 1);
+        assert.strictEqual(target.b, 2);
+    });
+
+    it('should enumerate denied properties but throw when accessed', function () {
+        var result = {};
+        runspace.run('out.keys = Object.keys(target); try { target.secret; } catch (ex) { out.code = ex.code; }', {
+            target: runspace.add({
+                secret: 1,
+                open: 2
+            }, {
+                deny: ['secret']
+            }),
+            out: runspace.add(result)
+        });
+        assert.deepEqual(result.keys, ['secret', 'open']);
+        assert.strictEqual(result.code, 'EACCES');
+    });
+
+    it('should call interceptors on properties added afterwards', function () {
+        var target = {};
+        var proxy = runspace.add(target, {
+            get: function (name, value) {
+                return name === 'late' ? value * 2 : undefined;
+            }
+        });
+        target.late = 21;
+        return runspace.runAsync('return target.late', {
+            target: proxy
+        }).then(function (value) {
+            assert.strictEqual(value.result, 42);
+        });
+    });
+
+    it('should not allow sandbox to make proxies non-extensible or change their prototypes', function () {
+        var target = {};
+        return runspace.runAsync('return [Reflect.preventExtensions(target), Reflect.setPrototypeOf(target, null), Object.isExtensible(target)]', {
+            target: runspace.add(target)
+        }).then(function (value) {
+            assert.deepEqual(value.result, [false, false, true]);
+            assert.ok(Object.isExtensible(target));
+        });
+    });
+
+    it('should wrap functions passed as globals', function () {
+        var result = [];
+        var out = function (value) {
+            result.push(value);
+        };
+        runspace.run('out(out.toString() === source)', {
+            out: out,
+            source: out.toString()
+        });
+        assert.deepEqual(result, [false]);
+    });
+
+    it('should return the same proxy for the same target', function () {
+        var target = {};
+        assert.strictEqual(runspace.add(target), runspace.add(target));
+        assert.strictEqual(runspace.getProxy(target), runspace.add(target));
+    });
+});
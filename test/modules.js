@@ -0,0 +1,70 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+describe('virtual modules', function () {
+    var scope, runspace;
+    beforeEach(function () {
+        scope = support.createScope({
+            'node_modules/sdk/index.js': 'module.exports = { name: "file" };'
+        });
+        runspace = new Runspace(scope, {
+            alias: {
+                api: 'sdk'
+            }
+        });
+    });
+    afterEach(function () {
+        runspace.terminate();
+        support.removeScope(scope);
+    });
+
+    function requireName(id) {
+        return runspace.runAsync('return require("' + id + '").name').then(function (value) {
+            return value.result;
+        });
+    }
+
+    it('should resolve virtual modules before the file system', function () {
+        runspace.defineModule('sdk', {
+            name: 'virtual'
+        });
+        return requireName('sdk').then(function (name) {
+            assert.strictEqual(name, 'virtual');
+        });
+    });
+
+    it('should resolve virtual modules defined after the id has been resolved', function () {
+        return Promise.all([requireName('sdk'), requireName('api')]).then(function (names) {
+            assert.deepEqual(names, ['file', 'file']);
+            runspace.defineModule('sdk', {
+                name: 'virtual'
+            });
+            return Promise.all([requireName('sdk'), requireName('api')]);
+        }).then(function (names) {
+            assert.deepEqual(names, ['virtual', 'virtual']);
+        });
+    });
+
+    it('should call factories once on the first require', function () {
+        var calls = 0;
+        runspace.defineModule('sdk', function () {
+            calls++;
+            return {
+                name: 'factory'
+            };
+        });
+        return requireName('sdk').then(function () {
+            return requireName('sdk');
+        }).then(function (name) {
+            assert.strictEqual(name, 'factory');
+            assert.strictEqual(calls, 1);
+        });
+    });
+});
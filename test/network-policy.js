@@ -0,0 +1,135 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('network policy' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var server, port, hits, scope, runspace;
+        before(function () {
+            server = http.createServer(function (req, res) {
+                hits++;
+                res.end('ok');
+            });
+            return new Promise(function (resolve) {
+                server.listen(0, '127.0.0.1', resolve);
+            }).then(function () {
+                port = server.address().port;
+            });
+        });
+        after(function () {
+            server.close();
+        });
+        beforeEach(function () {
+            hits = 0;
+            scope = support.createScope();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                net: {
+                    connect: {
+                        deny: [{
+                            cidr: '127.0.0.0/8'
+                        }]
+                    }
+                }
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function expectBlocked(code) {
+            return support.expectCode('EACCES', function () {
+                runspace.run(code, {
+                    port: port
+                });
+            }).then(function () {
+                return support.delay(50);
+            }).then(function () {
+                assert.strictEqual(hits, 0);
+            });
+        }
+
+        it('should check requests made by http.request()', function () {
+            return expectBlocked('require("http").request({ host: "127.0.0.1", port: port }).end()');
+        });
+
+        it('should check requests constructed by http.ClientRequest', function () {
+            return expectBlocked('new (require("http").ClientRequest)({ host: "127.0.0.1", port: port }).end()');
+        });
+
+        ['0.0.0.0', '::ffff:0.0.0.0'].forEach(function (address) {
+            it('should check connections to the unspecified address ' + address + ' as loopback', function () {
+                return expectBlocked('require("net").connect(port, "' + address + '")');
+            });
+        });
+
+        it('should check connections to the unspecified address against localhost rules', function () {
+            runspace.terminate();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                net: {
+                    connect: {
+                        deny: [{
+                            host: 'localhost'
+                        }]
+                    }
+                }
+            });
+            return expectBlocked('require("http").get({ host: "0.0.0.0", port: port })');
+        });
+
+        it('should deny http2 which is not checked by the policy', function () {
+            return expectBlocked('require("http2").connect("http://127.0.0.1:" + port)');
+        });
+
+        it('should check connections of new agents', function () {
+            return expectBlocked('new (require("http").Agent)().createConnection({ host: "127.0.0.1", port: port })');
+        });
+
+        ['http', 'https'].forEach(function (name) {
+            it('should check connections of ' + name + '.globalAgent', function () {
+                return expectBlocked('require("' + name + '").globalAgent.createConnection({ host: "127.0.0.1", port: port })');
+            });
+        });
+
+        it('should check connections of constructed tls.TLSSocket', function () {
+            return expectBlocked('new (require("tls").TLSSocket)().connect(port, "127.0.0.1")');
+        });
+
+        it('should block internal methods of agents', function () {
+            return expectBlocked('new (require("http").Agent)().createSocket({}, { host: "127.0.0.1", port: port }, function () {})');
+        });
+
+        it('should allow requests constructed by http.ClientRequest to allowed hosts', function () {
+            runspace.terminate();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                net: {
+                    connect: {
+                        allow: [{
+                            cidr: '127.0.0.0/8'
+                        }]
+                    }
+                }
+            });
+            return new Promise(function (resolve, reject) {
+                runspace.run('new (require("http").ClientRequest)({ host: "127.0.0.1", port: port }, function (res) { res.on("data", resolve) }).on("error", reject).end()', {
+                    port: port,
+                    resolve: resolve,
+                    reject: reject
+                });
+            }).then(function (data) {
+                assert.strictEqual(String(data), 'ok');
+                assert.strictEqual(hits, 1);
+            });
+        });
+    });
+});
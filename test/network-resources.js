@@ -0,0 +1,125 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('network resources' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var server, port, responses, scope, runspace;
+        before(function () {
+            server = http.createServer(function (req, res) {
+                responses.push(res);
+            });
+            return new Promise(function (resolve) {
+                server.listen(0, '127.0.0.1', resolve);
+            }).then(function () {
+                port = server.address().port;
+            });
+        });
+        after(function () {
+            server.close();
+        });
+        beforeEach(function () {
+            responses = [];
+            scope = support.createScope();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+            responses.forEach(function (res) {
+                res.end();
+            });
+        });
+
+        function waitForRequests(count) {
+            return responses.length >= count ? Promise.resolve() : support.delay(10).then(function () {
+                return waitForRequests(count);
+            });
+        }
+
+        it('should track sockets of http requests', function () {
+            var events = [];
+            runspace.on('resource', function (event) {
+                if (event.category === 'sockets') {
+                    events.push(event);
+                }
+            });
+            var done = new Promise(function (resolve) {
+                runspace.run('require("http").get({ host: "127.0.0.1", port: port }, function (res) { res.resume(); res.on("end", done) })', {
+                    port: port,
+                    done: resolve
+                });
+            });
+            return waitForRequests(1).then(function () {
+                var sockets = runspace.getResourceUsage().sockets;
+                assert.strictEqual(sockets.length, 1);
+                assert.strictEqual(sockets[0].protocol, 'http');
+                assert.strictEqual(sockets[0].remoteAddress, '127.0.0.1');
+                assert.strictEqual(sockets[0].remotePort, port);
+                responses[0].end('ok');
+                return done;
+            }).then(function () {
+                return support.delay(10);
+            }).then(function () {
+                assert.deepEqual(runspace.getResourceUsage().sockets, []);
+                assert.deepEqual(events.map(function (v) {
+                    return v.action;
+                }), ['allocate', 'release']);
+                assert.strictEqual(events[1].details.remotePort, port);
+            });
+        });
+
+        [
+            'require("http").get({ host: "127.0.0.1", port: port })',
+            'new (require("http").ClientRequest)({ host: "127.0.0.1", port: port })',
+            'require("http").globalAgent.createConnection({ host: "127.0.0.1", port: port })'
+        ].forEach(function (code) {
+            it('should limit sockets created by ' + code.replace(/\(\{.*/, ''), function () {
+                runspace.terminate();
+                runspace = new Runspace(scope, {
+                    liveProxy: liveProxy,
+                    limits: {
+                        maxSockets: 2
+                    }
+                });
+                var events = [];
+                runspace.on('limit', function (event) {
+                    events.push(event);
+                });
+                return support.expectCode('ERR_RUNSPACE_LIMIT', function () {
+                    runspace.run('for (var i = 0; i < 5; i++) { ' + code + '.on("error", function () {}) }', {
+                        port: port
+                    });
+                }).then(function (err) {
+                    assert.strictEqual(err.limit, 'maxSockets');
+                    assert.strictEqual(events.length, 1);
+                    assert.strictEqual(runspace.getResourceUsage().counts.sockets, 2);
+                });
+            });
+        });
+
+        it('should abort pending http requests on termination', function () {
+            var closed = new Promise(function (resolve) {
+                server.once('request', function (req) {
+                    req.socket.once('close', resolve);
+                });
+            });
+            runspace.run('require("http").get({ host: "127.0.0.1", port: port }).on("error", function () {})', {
+                port: port
+            });
+            return waitForRequests(1).then(function () {
+                runspace.terminate();
+                return closed;
+            });
+        });
+    });
+});
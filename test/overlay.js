@@ -0,0 +1,82 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('overlay' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope({
+                'in.txt': 'hello'
+            });
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                overlay: true
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        it('should keep files written by sandbox in memory', function () {
+            return runspace.runAsync('var fs = require("fs"); fs.writeFileSync("out.txt", "a"); fs.appendFileSync("in.txt", "!"); return [fs.readFileSync("out.txt", "utf8"), fs.readFileSync("in.txt", "utf8")]').then(function (value) {
+                assert.deepEqual(value.result, ['a', 'hello!']);
+                assert.ok(!fs.existsSync(path.join(scope, 'out.txt')));
+                assert.strictEqual(fs.readFileSync(path.join(scope, 'in.txt'), 'utf8'), 'hello');
+                assert.deepEqual(runspace.overlay.diff(), [{
+                    path: 'in.txt',
+                    type: 'modified',
+                    directory: false
+                }, {
+                    path: 'out.txt',
+                    type: 'added',
+                    directory: false
+                }]);
+            });
+        });
+
+        it('should throw ENOTSUP when opening files for writing', function () {
+            return support.expectCode('ENOTSUP', function () {
+                runspace.run('require("fs").openSync("in.txt", "w")');
+            });
+        });
+
+        [
+            ['open() with O_TRUNC', 'fs.openSync("in.txt", fs.constants.O_RDONLY | fs.constants.O_TRUNC)'],
+            ['open() with O_CREAT', 'fs.openSync("new.txt", fs.constants.O_CREAT)'],
+            ['readFile() with the flag option', 'fs.readFileSync("in.txt", { flag: "w+" })'],
+            ['createReadStream() with the flags option', 'fs.createReadStream("new.txt", { flags: "a+" })'],
+            ['fs.promises.open() with O_TRUNC', 'return fs.promises.open("in.txt", fs.constants.O_RDONLY | fs.constants.O_TRUNC)']
+        ].forEach(function (test) {
+            it('should throw ENOTSUP on ' + test[0] + ' without changing files on disk', function () {
+                return support.expectCode('ENOTSUP', function () {
+                    return runspace.runAsync('var fs = require("fs"); ' + test[1]);
+                }).then(function () {
+                    assert.strictEqual(fs.readFileSync(path.join(scope, 'in.txt'), 'utf8'), 'hello');
+                    assert.ok(!fs.existsSync(path.join(scope, 'new.txt')));
+                });
+            });
+        });
+
+        it('should read files by file descriptors on disk', function () {
+            return runspace.runAsync('var fs = require("fs"); var fd = fs.openSync("in.txt", "r"); try { return fs.readFileSync(fd, "utf8") } finally { fs.closeSync(fd) }').then(function (value) {
+                assert.strictEqual(value.result, 'hello');
+            });
+        });
+
+        it('should read files by file descriptors on disk with callbacks', function () {
+            return runspace.runAsync('var fs = require("fs"); var fd = fs.openSync("in.txt", "r"); return await new Promise(function (resolve, reject) { fs.readFile(fd, "utf8", function (err, data) { fs.closeSync(fd); err ? reject(err) : resolve(data) }) })').then(function (value) {
+                assert.strictEqual(value.result, 'hello');
+            });
+        });
+    });
+});
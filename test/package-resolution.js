@@ -0,0 +1,102 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+describe('package resolution', function () {
+    var scope, runspace;
+    beforeEach(function () {
+        scope = support.createScope({
+            'package.json': JSON.stringify({
+                name: 'plugin',
+                exports: {
+                    '.': './main.js',
+                    './lib/*': './src/*.js'
+                },
+                imports: {
+                    '#util': './src/util.js',
+                    '#dep': 'dep'
+                }
+            }),
+            'main.js': 'module.exports = "main";',
+            'src/util.js': 'module.exports = "util";',
+            'src/self.js': 'module.exports = require("plugin/lib/util");',
+            'node_modules/dep/package.json': JSON.stringify({
+                name: 'dep',
+                exports: {
+                    '.': {
+                        sandbox: './sandbox.js',
+                        require: './index.js'
+                    },
+                    './feature': './feature.js'
+                }
+            }),
+            'node_modules/dep/index.js': 'module.exports = "dep";',
+            'node_modules/dep/sandbox.js': 'module.exports = "sandbox";',
+            'node_modules/dep/feature.js': 'module.exports = "feature";',
+            'node_modules/dep/internal.js': 'module.exports = "internal";'
+        });
+        createRunspace({});
+    });
+    afterEach(function () {
+        runspace.terminate();
+        support.removeScope(scope);
+    });
+
+    function createRunspace(options) {
+        if (runspace) {
+            runspace.terminate();
+        }
+        runspace = new Runspace(scope, options);
+    }
+
+    function requireValue(id) {
+        return runspace.runAsync('return require("' + id + '")').then(function (value) {
+            return value.result;
+        });
+    }
+
+    it('should resolve packages by "exports"', function () {
+        return Promise.all([requireValue('dep'), requireValue('dep/feature')]).then(function (values) {
+            assert.deepEqual(values, ['dep', 'feature']);
+        });
+    });
+
+    it('should match conditions given by the conditions option', function () {
+        createRunspace({
+            conditions: ['sandbox']
+        });
+        return requireValue('dep').then(function (value) {
+            assert.strictEqual(value, 'sandbox');
+        });
+    });
+
+    it('should throw ERR_PACKAGE_PATH_NOT_EXPORTED for subpaths not exported', function () {
+        return support.expectCode('ERR_PACKAGE_PATH_NOT_EXPORTED', function () {
+            runspace.run('require("dep/internal.js")');
+        });
+    });
+
+    it('should resolve "#" specifiers by "imports"', function () {
+        return Promise.all([requireValue('#util'), requireValue('#dep')]).then(function (values) {
+            assert.deepEqual(values, ['util', 'dep']);
+        });
+    });
+
+    it('should throw ERR_PACKAGE_IMPORT_NOT_DEFINED for undefined "#" specifiers', function () {
+        return support.expectCode('ERR_PACKAGE_IMPORT_NOT_DEFINED', function () {
+            runspace.run('require("#missing")');
+        });
+    });
+
+    it('should resolve the package itself by its name and "exports"', function () {
+        return Promise.all([requireValue('plugin'), requireValue('./src/self.js')]).then(function (values) {
+            assert.deepEqual(values, ['main', 'util']);
+        });
+    });
+});
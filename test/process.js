@@ -0,0 +1,97 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('virtualized process and os' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope();
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function createRunspace(options) {
+            options.liveProxy = liveProxy;
+            runspace = new Runspace(scope, options);
+            return runspace;
+        }
+
+        it('should replace members of process and os', function () {
+            createRunspace({
+                process: {
+                    env: {
+                        A: 1
+                    },
+                    pid: 1,
+                    memoryUsage: function () {
+                        return {
+                            rss: 0
+                        };
+                    }
+                },
+                os: {
+                    hostname: 'sandbox'
+                }
+            });
+            return runspace.runAsync('process.env.B = "2"; return [process.env, process.pid, process.memoryUsage().rss, require("os").hostname()]').then(function (value) {
+                assert.deepEqual(value.result, [{
+                    A: '1',
+                    B: '2'
+                }, 1, 0, 'sandbox']);
+                assert.strictEqual(process.env.B, undefined);
+            });
+        });
+
+        it('should delete and convert variables of the virtualized environment', function () {
+            createRunspace({
+                process: {
+                    env: {
+                        A: 1,
+                        B: 2
+                    }
+                }
+            });
+            return runspace.runAsync('delete process.env.A; process.env.C = 3; return [Object.keys(process.env), "A" in process.env, process.env.A, process.env.C]').then(function (value) {
+                assert.deepEqual(value.result, [['B', 'C'], false, undefined, '3']);
+            });
+        });
+
+        it('should block the diagnostic report when process or os is virtualized', function () {
+            createRunspace({
+                os: {
+                    hostname: 'sandbox'
+                }
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('process.report.getReport()');
+            });
+        });
+
+        it('should allow replacing the diagnostic report', function () {
+            createRunspace({
+                process: {
+                    report: {}
+                }
+            });
+            return runspace.runAsync('return process.report').then(function (value) {
+                assert.deepEqual(value.result, {});
+            });
+        });
+
+        it('should expose the diagnostic report of the host by default', function () {
+            createRunspace({});
+            return runspace.runAsync('return process.report.getReport().header.host').then(function (value) {
+                assert.strictEqual(value.result, require('os').hostname());
+            });
+        });
+    });
+});
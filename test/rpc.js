@@ -0,0 +1,111 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('rpc' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope();
+            createRunspace({});
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function createRunspace(options) {
+            if (runspace) {
+                runspace.terminate();
+            }
+            options.liveProxy = liveProxy;
+            runspace = new Runspace(scope, options);
+        }
+
+        it('should call host handlers from sandbox with copies of arguments', function () {
+            var received;
+            runspace.handle('getUser', function (query) {
+                received = query;
+                return Promise.resolve({
+                    id: query.id,
+                    name: 'foo'
+                });
+            });
+            return runspace.runAsync('var query = { id: 1 }; var user = await process.rpc("getUser", query); return [user.name, user.constructor === Object, query !== user]').then(function (value) {
+                assert.deepEqual(value.result, ['foo', true, true]);
+                assert.deepEqual(received, {
+                    id: 1
+                });
+                assert.strictEqual(Object.getPrototypeOf(received), Object.prototype);
+            });
+        });
+
+        it('should call handlers registered inside sandbox from the host', function () {
+            runspace.run('process.handle("render", function (user) { return Promise.resolve("<p>" + user.name + "</p>") })');
+            return runspace.rpc('render', {
+                name: 'foo'
+            }).then(function (html) {
+                assert.strictEqual(html, '<p>foo</p>');
+            });
+        });
+
+        it('should reject with errors keeping their code', function () {
+            runspace.handle('fail', function () {
+                var err = new Error('failed');
+                err.code = 'E_FAILED';
+                throw err;
+            });
+            runspace.run('process.handle("fail", function () { var err = new Error("failed inside"); err.code = "E_INSIDE"; throw err })');
+            return runspace.runAsync('try { await process.rpc("fail") } catch (ex) { return [ex.message, ex.code, ex instanceof Error] }').then(function (value) {
+                assert.deepEqual(value.result, ['failed', 'E_FAILED', true]);
+                return support.expectCode('E_INSIDE', function () {
+                    return runspace.rpc('fail');
+                });
+            }).then(function (err) {
+                assert.strictEqual(err.message, 'failed inside');
+            });
+        });
+
+        it('should reject calls without handlers', function () {
+            return support.expectCode('ERR_RPC_NO_HANDLER', function () {
+                return runspace.rpc('missing');
+            }).then(function () {
+                return runspace.runAsync('try { await process.rpc("missing") } catch (ex) { return ex.code }');
+            }).then(function (value) {
+                assert.strictEqual(value.result, 'ERR_RPC_NO_HANDLER');
+            });
+        });
+
+        it('should reject calls not settled within rpcTimeout', function () {
+            createRunspace({
+                rpcTimeout: 20
+            });
+            runspace.run('process.handle("wait", function () { return new Promise(function () {}) })');
+            return support.expectCode('ERR_RPC_TIMEOUT', function () {
+                return runspace.rpc('wait');
+            });
+        });
+
+        it('should reject pending calls when terminated', function () {
+            runspace.run('process.handle("wait", function () { return new Promise(function () {}) })');
+            var pending = runspace.rpc('wait');
+            runspace.terminate();
+            return support.expectCode('ERR_RUNSPACE_TERMINATED', function () {
+                return pending;
+            });
+        });
+
+        it('should reject arguments that cannot be copied', function () {
+            runspace.run('process.handle("echo", function (value) { return value })');
+            return support.expectCode('DATA_CLONE_ERR', function () {
+                return runspace.rpc('echo', function () {});
+            });
+        });
+    });
+});
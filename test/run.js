@@ -0,0 +1,55 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('run' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        it('should run code with top-level await as an async function', function () {
+            var calls = [];
+            var result = runspace.run('record(await Promise.resolve(1)); record(2)', {
+                record: function (value) {
+                    calls.push(value);
+                }
+            });
+            assert.deepEqual(calls, []);
+            return result.then(function () {
+                assert.deepEqual(calls, [1, 2]);
+            });
+        });
+
+        it('should reject with errors thrown after top-level await', function () {
+            return support.expectCode('ERR_TEST', function () {
+                return runspace.compile('await null; var err = new Error(); err.code = "ERR_TEST"; throw err').run();
+            });
+        });
+
+        it('should not compile code using await as an identifier as an async function', function () {
+            var calls = [];
+            var result = runspace.run('var await = 1; record(await)', {
+                record: function (value) {
+                    calls.push(value);
+                }
+            });
+            assert.strictEqual(result, undefined);
+            assert.deepEqual(calls, [1]);
+        });
+    });
+});
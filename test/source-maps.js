@@ -0,0 +1,53 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+describe('source maps', function () {
+    var scope, runspace;
+    beforeEach(function () {
+        scope = support.createScope({
+            'gen.js': 'function fail() {\n    throw new Error("mapped");\n}\nfail();\n//# sourceMappingURL=gen.js.map\n',
+            'gen.js.map': JSON.stringify({
+                version: 3,
+                sources: ['original.ts'],
+                names: [],
+                mappings: 'AAAA;AACA;AACA;AACA',
+                file: 'gen.js'
+            })
+        });
+    });
+    afterEach(function () {
+        runspace.terminate();
+        support.removeScope(scope);
+    });
+
+    function getStack(options) {
+        runspace = new Runspace(scope, options);
+        try {
+            runspace.run('require("./gen")');
+        } catch (ex) {
+            return ex.stack;
+        }
+        throw new Error('Expected error');
+    }
+
+    it('should map stack traces by source map files', function () {
+        assert.ok(getStack().indexOf('original.ts:2:1') >= 0);
+    });
+
+    it('should not read source map files denied by the fs option', function () {
+        var stack = getStack({
+            fs: {
+                deny: ['*.map']
+            }
+        });
+        assert.ok(stack.indexOf('original.ts') < 0);
+        assert.ok(stack.indexOf('gen.js:2:11') >= 0);
+    });
+});
@@ -0,0 +1,115 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('stack traces' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope({
+                'plugin.js': [
+                    'function start() {',
+                    '    throw new Error("failed");',
+                    '}',
+                    'exports.start = function () {',
+                    '    start();',
+                    '};'
+                ].join('\n')
+            });
+            createRunspace({});
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function createRunspace(options) {
+            if (runspace) {
+                runspace.terminate();
+            }
+            options.liveProxy = liveProxy;
+            runspace = new Runspace(scope, options);
+        }
+
+        function invoke(fn) {
+            return fn();
+        }
+
+        function getStackInside() {
+            return runspace.runAsync('try { invoke(function () { throw new Error("inside") }) } catch (ex) { return ex.stack }', {
+                invoke: invoke
+            }).then(function (value) {
+                return value.result;
+            });
+        }
+
+        it('should strip host frames from errors crossing into the host', function () {
+            try {
+                runspace.run('require("./plugin").start()');
+            } catch (err) {
+                assert.strictEqual(err.message, 'failed');
+                assert.ok(err.stack.indexOf(path.join(scope, 'plugin.js')) >= 0);
+                assert.ok(err.stack.indexOf(path.resolve(__dirname, '../runspace.js')) < 0);
+                assert.ok(!/node:internal|<host>/.test(err.stack));
+                return;
+            }
+            assert.fail('Expected error');
+        });
+
+        it('should give sandbox frames of errors', function () {
+            try {
+                runspace.run('require("./plugin").start()');
+            } catch (err) {
+                assert.deepEqual(err.sandboxFrames[0], {
+                    function: 'start',
+                    file: path.join(scope, 'plugin.js'),
+                    line: 2,
+                    column: 11
+                });
+                assert.strictEqual(err.sandboxFrames[1].line, 5);
+                return;
+            }
+            assert.fail('Expected error');
+        });
+
+        it('should strip host frames from errors seen inside sandbox', function () {
+            return getStackInside().then(function (stack) {
+                assert.ok(/^Error: inside/.test(stack));
+                assert.ok(stack.indexOf(__filename) < 0);
+            });
+        });
+
+        it('should redact host frames with hostFrames set to redact', function () {
+            createRunspace({
+                hostFrames: 'redact'
+            });
+            return getStackInside().then(function (stack) {
+                assert.ok(stack.indexOf(__filename) < 0);
+                assert.ok(/\n\s+at <host>/.test(stack));
+                assert.ok(!/at <host>\n\s+at <host>/.test(stack));
+            });
+        });
+
+        it('should keep host frames with hostFrames set to keep', function () {
+            createRunspace({
+                hostFrames: 'keep'
+            });
+            return getStackInside().then(function (stack) {
+                assert.ok(stack.indexOf(__filename) >= 0);
+            });
+        });
+
+        it('should not pass CallSite objects to sandbox', function () {
+            return runspace.runAsync('try { Error.prepareStackTrace = function (err, frames) { return frames } } catch (ex) {} return typeof new Error().stack').then(function (value) {
+                assert.strictEqual(value.result, 'string');
+            });
+        });
+    });
+});
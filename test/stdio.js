@@ -0,0 +1,98 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+describe('stdio', function () {
+    var scope, runspace;
+    beforeEach(function () {
+        scope = support.createScope();
+        runspace = new Runspace(scope);
+    });
+    afterEach(function () {
+        runspace.terminate();
+        support.removeScope(scope);
+    });
+
+    function collect(readable) {
+        var chunks = [];
+        readable.on('data', function (data) {
+            chunks.push(String(data));
+        });
+        return chunks;
+    }
+
+    it('should deliver output written before and after it is read', function () {
+        var chunks = collect(runspace.stdout);
+        runspace.run('process.stdout.write("a"); setTimeout(function () { process.stdout.write("b") }, 10)');
+        return support.delay(30).then(function () {
+            assert.strictEqual(chunks.join(''), 'ab');
+        });
+    });
+
+    it('should deliver output to stderr', function () {
+        var chunks = collect(runspace.stderr);
+        runspace.run('process.stderr.write("error\\n")');
+        return support.delay(10).then(function () {
+            assert.strictEqual(chunks.join(''), 'error\n');
+        });
+    });
+
+    it('should deliver input to process.stdin', function () {
+        var received = new Promise(function (resolve) {
+            runspace.run('process.stdin.on("data", function (data) { resolve(String(data)) })', {
+                resolve: resolve
+            });
+        });
+        runspace.stdin.write('hello');
+        return received.then(function (data) {
+            assert.strictEqual(data, 'hello');
+        });
+    });
+
+    it('should end process.stdin when runspace.stdin is ended', function () {
+        var ended = new Promise(function (resolve) {
+            runspace.run('process.stdin.resume(); process.stdin.on("end", resolve)', {
+                resolve: resolve
+            });
+        });
+        runspace.stdin.end('hello');
+        return ended;
+    });
+
+    it('should read process.stdin by file descriptor 0', function () {
+        var result = runspace.runAsync('var fs = require("fs"); var buffer = Buffer.alloc(3); var read = function (callback) { fs.read(0, buffer, 0, 3, null, callback) }; var bytesRead = await new Promise(function (resolve, reject) { read(function (err, n) { err ? reject(err) : resolve(n) }) }); var rest = await new Promise(function (resolve, reject) { fs.readFile(0, "utf8", function (err, data) { err ? reject(err) : resolve(data) }) }); return [bytesRead, String(buffer), rest]');
+        runspace.stdin.write('hello');
+        runspace.stdin.end('!');
+        return result.then(function (value) {
+            assert.deepEqual(value.result, [3, 'hel', 'lo!']);
+        });
+    });
+
+    it('should throw EAGAIN on synchronous reads of file descriptor 0 without input', function () {
+        return support.expectCode('EAGAIN', function () {
+            runspace.run('require("fs").readSync(0, Buffer.alloc(1))');
+        });
+    });
+
+    it('should write files of file descriptors 1 and 2 to the pipes', function () {
+        var stdout = collect(runspace.stdout);
+        var stderr = collect(runspace.stderr);
+        runspace.run('var fs = require("fs"); fs.writeFileSync(1, "a"); fs.appendFileSync(1, Buffer.from("b")); fs.writeFileSync(2, "c")');
+        return support.delay(10).then(function () {
+            assert.strictEqual(stdout.join(''), 'ab');
+            assert.strictEqual(stderr.join(''), 'c');
+        });
+    });
+
+    it('should stat and sync file descriptors 0, 1 and 2 as pipes', function () {
+        return runspace.runAsync('var fs = require("fs"); fs.fsyncSync(1); await new Promise(function (resolve) { fs.fdatasync(2, resolve) }); return [0, 1, 2].map(function (fd) { var stats = fs.fstatSync(fd); return [stats.isFIFO(), stats.isFile(), stats.size] })').then(function (value) {
+            assert.deepEqual(value.result, [[true, false, 0], [true, false, 0], [true, false, 0]]);
+        });
+    });
+});
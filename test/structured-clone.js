@@ -0,0 +1,118 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var vm = require('vm');
+
+var Runspace = require('../runspace');
+var cloneValue = require('../structured-clone');
+var support = require('./support');
+
+describe('structured clone', function () {
+    var context, realm;
+    beforeEach(function () {
+        context = vm.createContext({});
+        realm = cloneValue.createRealm(context);
+    });
+
+    it('should clone Buffers as Buffers in the host realm', function () {
+        var result = cloneValue(Buffer.from('hello'));
+        assert.ok(Buffer.isBuffer(result));
+        assert.strictEqual(result.toString(), 'hello');
+    });
+
+    it('should clone Buffers as Uint8Arrays of other realms', function () {
+        var result = cloneValue(Buffer.from('hello'), realm);
+        assert.ok(result instanceof realm.Uint8Array);
+        assert.ok(result.buffer instanceof realm.ArrayBuffer);
+        assert.strictEqual(Buffer.from(result).toString(), 'hello');
+    });
+
+    it('should clone ArrayBuffers into other realms', function () {
+        var buffer = new Uint8Array([1, 2, 3]).buffer;
+        var result = cloneValue(buffer, realm);
+        assert.ok(result instanceof realm.ArrayBuffer);
+        assert.deepEqual(Array.from(new Uint8Array(result)), [1, 2, 3]);
+    });
+
+    it('should copy only the viewed part of pooled Buffers', function () {
+        var result = cloneValue(Buffer.from('abc'), realm);
+        assert.strictEqual(result.byteOffset, 0);
+        assert.strictEqual(result.buffer.byteLength, 3);
+    });
+
+    it('should detach transferred buffers cloned into other realms', function () {
+        var buffer = new Uint8Array([1, 2]).buffer;
+        var result = cloneValue({
+            a: buffer,
+            b: buffer
+        }, realm, [buffer]);
+        assert.strictEqual(buffer.byteLength, 0);
+        assert.ok(result.a instanceof realm.ArrayBuffer);
+        assert.strictEqual(result.a, result.b);
+        assert.deepEqual(Array.from(new Uint8Array(result.a)), [1, 2]);
+    });
+
+    it('should throw DataCloneError for functions', function () {
+        assert.throws(function () {
+            cloneValue({
+                fn: function () {}
+            });
+        }, function (err) {
+            return err.name === 'DataCloneError' && err.code === 'DATA_CLONE_ERR';
+        });
+    });
+});
+
+[false, true].forEach(function (liveProxy) {
+    describe('values passed into sandbox' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function isHostProcessReachable(code) {
+            return new Promise(function (resolve, reject) {
+                runspace.run(code + '.then(function (v) { resolve(v.constructor.constructor("return process")() !== process) }, reject)', {
+                    resolve: resolve,
+                    reject: reject
+                });
+            });
+        }
+
+        it('should not expose the host realm by Buffers returned from rpc', function () {
+            runspace.handle('buffer', function () {
+                return Buffer.from('hello');
+            });
+            return isHostProcessReachable('process.rpc("buffer")').then(function (reachable) {
+                assert.strictEqual(reachable, false);
+            });
+        });
+
+        it('should not expose the host realm by ArrayBuffers returned from rpc', function () {
+            runspace.handle('buffer', function () {
+                return new ArrayBuffer(4);
+            });
+            return isHostProcessReachable('process.rpc("buffer")').then(function (reachable) {
+                assert.strictEqual(reachable, false);
+            });
+        });
+
+        it('should not expose the host realm by Buffers sent as messages', function () {
+            var result = isHostProcessReachable('new Promise(function (resolve) { process.on("message", resolve) })');
+            runspace.send(Buffer.from('hello'));
+            return result.then(function (reachable) {
+                assert.strictEqual(reachable, false);
+            });
+        });
+    });
+});
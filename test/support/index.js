@@ -0,0 +1,84 @@
+/*jshint node:true */
+/*global Promise */
+
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+function removeRecursive(filename) {
+    var stats;
+    try {
+        stats = fs.lstatSync(filename);
+    } catch (ex) {
+        return;
+    }
+    if (stats.isDirectory()) {
+        fs.readdirSync(filename).forEach(function (v) {
+            removeRecursive(path.join(filename, v));
+        });
+        fs.rmdirSync(filename);
+    } else {
+        fs.unlinkSync(filename);
+    }
+}
+
+// creates a temporary sandbox root with the given files, keyed by paths relative to the root
+// directories are created for keys ending with a slash
+exports.createScope = function (files) {
+    var scope = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'runspace-')));
+    exports.writeFiles(scope, files);
+    return scope;
+};
+
+exports.writeFiles = function (scope, files) {
+    Object.keys(files || {}).forEach(function (i) {
+        var filename = path.join(scope, i);
+        fs.mkdirSync(i.slice(-1) === '/' ? filename : path.dirname(filename), {
+            recursive: true
+        });
+        if (i.slice(-1) !== '/') {
+            fs.writeFileSync(filename, files[i]);
+        }
+    });
+};
+
+exports.removeScope = removeRecursive;
+
+// resolves after the given milliseconds
+exports.delay = function (ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+};
+
+// resolves with the arguments of the first emitted event
+exports.once = function (emitter, event) {
+    return new Promise(function (resolve) {
+        emitter.once(event, function () {
+            resolve(Array.prototype.slice.call(arguments));
+        });
+    });
+};
+
+// asserts that fn throws synchronously, or the returned promise rejects, with the given error code
+exports.expectCode = function (code, fn) {
+    var result;
+    try {
+        result = fn();
+    } catch (ex) {
+        if (ex.code !== code) {
+            throw ex;
+        }
+        return Promise.resolve(ex);
+    }
+    return Promise.resolve(result).then(function () {
+        throw new Error('Expected error with code ' + code);
+    }, function (ex) {
+        if (!ex || ex.code !== code) {
+            throw ex;
+        }
+        return ex;
+    });
+};
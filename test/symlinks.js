@@ -0,0 +1,109 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('symbolic links' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var outside, scope, runspace;
+        beforeEach(function () {
+            outside = support.createScope({
+                'secret.txt': 'secret',
+                'module.js': 'module.exports = "outside";'
+            });
+            scope = support.createScope({
+                'in.txt': 'hello'
+            });
+            fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(scope, 'secret.txt'));
+            fs.symlinkSync(outside, path.join(scope, 'outside'));
+            fs.symlinkSync(path.join(scope, 'in.txt'), path.join(scope, 'inside.txt'));
+            fs.symlinkSync(path.join(outside, 'missing.txt'), path.join(scope, 'dangling.txt'));
+            createRunspace({});
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+            support.removeScope(outside);
+        });
+
+        function createRunspace(options) {
+            if (runspace) {
+                runspace.terminate();
+            }
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy,
+                fs: options
+            });
+        }
+
+        it('should block reading files through links pointing outside', function () {
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").readFileSync("secret.txt")');
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").readFileSync("outside/secret.txt")');
+                });
+            });
+        });
+
+        it('should block creating files through links pointing outside', function () {
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").writeFileSync("outside/new.txt", "new")');
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").writeFileSync("dangling.txt", "new")');
+                });
+            }).then(function () {
+                assert.ok(!fs.existsSync(path.join(outside, 'new.txt')));
+                assert.ok(!fs.existsSync(path.join(outside, 'missing.txt')));
+            });
+        });
+
+        it('should allow links pointing inside', function () {
+            return runspace.runAsync('return require("fs").readFileSync("inside.txt", "utf8")').then(function (value) {
+                assert.strictEqual(value.result, 'hello');
+            });
+        });
+
+        it('should allow methods operating on the link itself', function () {
+            return runspace.runAsync('var fs = require("fs"); var target = fs.readlinkSync("secret.txt"); var isLink = fs.lstatSync("secret.txt").isSymbolicLink(); fs.unlinkSync("secret.txt"); return [target, isLink]').then(function (value) {
+                assert.deepEqual(value.result, [path.join(outside, 'secret.txt'), true]);
+                assert.strictEqual(fs.readFileSync(path.join(outside, 'secret.txt'), 'utf8'), 'secret');
+            });
+        });
+
+        it('should hide modules reached through links pointing outside', function () {
+            return support.expectCode('MODULE_NOT_FOUND', function () {
+                runspace.run('require("./outside/module")');
+            });
+        });
+
+        it('should block creating links pointing outside with denyExternalLinks', function () {
+            createRunspace({
+                denyExternalLinks: true
+            });
+            return support.expectCode('EACCES', function () {
+                runspace.run('require("fs").symlinkSync(target, "link.txt")', {
+                    target: path.join(outside, 'secret.txt')
+                });
+            }).then(function () {
+                return support.expectCode('EACCES', function () {
+                    runspace.run('require("fs").symlinkSync("../" + name + "/secret.txt", "link.txt")', {
+                        name: path.basename(outside)
+                    });
+                });
+            }).then(function () {
+                return runspace.runAsync('require("fs").symlinkSync("in.txt", "link.txt"); return require("fs").readFileSync("link.txt", "utf8")');
+            }).then(function (value) {
+                assert.strictEqual(value.result, 'hello');
+            });
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('termination' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace, calls;
+        beforeEach(function () {
+            scope = support.createScope();
+            runspace = new Runspace(scope, {
+                liveProxy: liveProxy
+            });
+            calls = [];
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function record(value) {
+            calls.push(value);
+        }
+
+        it('should terminate synchronously on process.exit()', function () {
+            var events = [];
+            runspace.on('terminate', function (event) {
+                events.push(event);
+            });
+            var result = runspace.run('process.on("exit", function (code) { record("exit " + code) }); process.exit(3); record("after")', {
+                record: record
+            });
+            assert.strictEqual(result, undefined);
+            assert.ok(runspace.terminated);
+            assert.deepEqual(calls, ['exit 3']);
+            assert.deepEqual(events, [{
+                reason: 'exit',
+                code: 3
+            }]);
+        });
+
+        it('should not emit beforeExit on process.exit()', function () {
+            runspace.run('process.on("beforeExit", function () { record("beforeExit") }); process.exit()', {
+                record: record
+            });
+            assert.deepEqual(calls, []);
+        });
+
+        it('should leave nothing accessible when the exit is caught', function () {
+            runspace.run('try { process.exit() } catch (ex) {} try { setTimeout(function () {}) } catch (ex) { record(ex.message) }', {
+                record: record
+            });
+            assert.ok(runspace.terminated);
+            assert.strictEqual(calls.length, 0);
+        });
+
+        it('should stop callbacks calling process.exit()', function () {
+            var terminated = support.once(runspace, 'terminate');
+            runspace.run('setTimeout(function () { process.exit(2); record("after") }, 1)', {
+                record: record
+            });
+            return terminated.then(function (args) {
+                assert.strictEqual(args[0].code, 2);
+                return support.delay(10);
+            }).then(function () {
+                assert.deepEqual(calls, []);
+            });
+        });
+
+        it('should resolve runAsync() stopped by process.exit()', function () {
+            return runspace.runAsync('await null; process.exit(); record("after")', {
+                record: record
+            }).then(function (value) {
+                assert.strictEqual(value.result, undefined);
+                assert.ok(runspace.terminated);
+                assert.deepEqual(calls, []);
+            });
+        });
+
+        it('should keep process.exitCode in the runspace', function () {
+            var exitCode = process.exitCode;
+            runspace.run('process.exitCode = 5; record(process.exitCode)', {
+                record: record
+            });
+            assert.strictEqual(process.exitCode, exitCode);
+            assert.deepEqual(calls, [5]);
+            return runspace.terminate({
+                graceful: true
+            });
+        });
+
+        it('should give beforeExit listeners the time to finish on graceful termination', function () {
+            var terminated = support.once(runspace, 'terminate');
+            runspace.run('process.exitCode = 4; process.on("beforeExit", function () { setTimeout(function () { record("flushed") }, 10) })', {
+                record: record
+            });
+            runspace.terminate({
+                graceful: true
+            });
+            return terminated.then(function (args) {
+                assert.deepEqual(calls, ['flushed']);
+                assert.deepEqual(args[0], {
+                    reason: 'host',
+                    code: 4
+                });
+            });
+        });
+
+        it('should terminate with reason timeout after exitTimeout', function () {
+            runspace.exitTimeout = 20;
+            var terminated = support.once(runspace, 'terminate');
+            runspace.run('process.on("beforeExit", function () { setInterval(function () {}, 5) })');
+            runspace.terminate({
+                graceful: true
+            });
+            return terminated.then(function (args) {
+                assert.strictEqual(args[0].reason, 'host');
+            });
+        });
+    });
+});
+
+describe('frozen properties', function () {
+    it('should not pass writes to set interceptors unless listed in interceptFrozen', function () {
+        var scope = support.createScope();
+        var runspace = new Runspace(scope);
+        var names = [];
+        var target = {
+            a: 1,
+            b: 2
+        };
+        runspace.add(target, {
+            freeze: true,
+            interceptFrozen: ['b'],
+            set: function (name) {
+                names.push(name);
+            }
+        });
+        try {
+            runspace.run('target.a = 3; target.b = 4', {
+                target: runspace.getProxy(target)
+            });
+            assert.deepEqual(names, ['b']);
+            assert.deepEqual(target, {
+                a: 1,
+                b: 2
+            });
+        } finally {
+            runspace.terminate();
+            support.removeScope(scope);
+        }
+    });
+});
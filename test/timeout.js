@@ -0,0 +1,72 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+[false, true].forEach(function (liveProxy) {
+    describe('execution timeout' + (liveProxy ? ' (live proxy)' : ''), function () {
+        var scope, runspace;
+        beforeEach(function () {
+            scope = support.createScope({
+                'loop.js': 'while (true) {}'
+            });
+            createRunspace({
+                timeout: 50
+            });
+        });
+        afterEach(function () {
+            runspace.terminate();
+            support.removeScope(scope);
+        });
+
+        function createRunspace(options) {
+            if (runspace) {
+                runspace.terminate();
+            }
+            options.liveProxy = liveProxy;
+            runspace = new Runspace(scope, options);
+        }
+
+        it('should stop the compiled script after the timeout', function () {
+            return support.expectCode('ERR_SCRIPT_TIMEOUT', function () {
+                runspace.run('while (true) {}');
+            });
+        });
+
+        it('should stop module bodies loaded by require()', function () {
+            return support.expectCode('ERR_SCRIPT_TIMEOUT', function () {
+                runspace.run('require("./loop")');
+            });
+        });
+
+        it('should accept the timeout for each call', function () {
+            createRunspace({});
+            return support.expectCode('ERR_SCRIPT_TIMEOUT', function () {
+                runspace.run('while (true) {}', {}, {
+                    timeout: 50
+                });
+            });
+        });
+
+        it('should terminate with reason timeout when terminateOnTimeout is set', function () {
+            createRunspace({
+                timeout: 50,
+                terminateOnTimeout: true
+            });
+            var terminated = support.once(runspace, 'terminate');
+            return support.expectCode('ERR_SCRIPT_TIMEOUT', function () {
+                runspace.run('while (true) {}');
+            }).then(function () {
+                return terminated;
+            }).then(function (args) {
+                assert.strictEqual(args[0].reason, 'timeout');
+                assert.ok(runspace.terminated);
+            });
+        });
+    });
+});
@@ -0,0 +1,60 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+describe('transforms', function () {
+    var scope, runspaces, calls;
+    beforeEach(function () {
+        scope = support.createScope({
+            'plugin.ts': 'module.exports = "TYPE";'
+        });
+        runspaces = [];
+        calls = 0;
+    });
+    afterEach(function () {
+        runspaces.forEach(function (runspace) {
+            runspace.terminate();
+        });
+        support.removeScope(scope);
+    });
+
+    function transform(source) {
+        calls++;
+        return source.replace('TYPE', 'script');
+    }
+
+    function createRunspace() {
+        var runspace = new Runspace(scope, {
+            transforms: {
+                '.ts': transform
+            }
+        });
+        runspaces.push(runspace);
+        return runspace;
+    }
+
+    it('should load files of registered extensions as transformed scripts', function () {
+        var runspace = new Runspace(scope);
+        runspaces.push(runspace);
+        runspace.registerExtension('.ts', transform);
+        return runspace.runAsync('return require("./plugin")').then(function (value) {
+            assert.strictEqual(value.result, 'script');
+            assert.strictEqual(calls, 1);
+        });
+    });
+
+    it('should not share transformed sources across runspaces', function () {
+        return createRunspace().runAsync('return require("./plugin")').then(function () {
+            return createRunspace().runAsync('return require("./plugin")');
+        }).then(function (value) {
+            assert.strictEqual(value.result, 'script');
+            assert.strictEqual(calls, 2);
+        });
+    });
+});
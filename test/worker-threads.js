@@ -0,0 +1,116 @@
+/*jshint node:true,mocha:true */
+/*global Promise */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var Runspace = require('../runspace');
+var support = require('./support');
+
+describe('worker_threads', function () {
+    this.timeout(10000);
+
+    var scope, runspace;
+    beforeEach(function () {
+        scope = support.createScope({
+            'worker.js': 'var wt = require("worker_threads"); wt.parentPort.postMessage([process.pid, wt.workerData])'
+        });
+    });
+    afterEach(function () {
+        runspace.terminate();
+        support.removeScope(scope);
+    });
+
+    it('should start workers with the options of the parent runspace', function () {
+        runspace = new Runspace(scope, {
+            process: {
+                pid: 42
+            }
+        });
+        return new Promise(function (resolve, reject) {
+            runspace.run('new (require("worker_threads").Worker)("./worker.js", { workerData: "data" }).on("message", resolve).on("error", reject)', {
+                resolve: resolve,
+                reject: reject
+            });
+        }).then(function (message) {
+            assert.deepEqual(message, [42, 'data']);
+        });
+    });
+
+    it('should fail to start workers without leaking them when options of the parent contain functions', function () {
+        runspace = new Runspace(scope, {
+            process: {
+                pid: function () {
+                    return 42;
+                }
+            }
+        });
+        var message = null;
+        runspace.run('try { new (require("worker_threads").Worker)("./worker.js") } catch (ex) { out(ex.name + ": " + ex.message) }', {
+            out: function (value) {
+                message = value;
+            }
+        });
+        assert.strictEqual(message, 'TypeError: Function in options.process.pid is not supported with isolation');
+    });
+
+    it('should count workers against the maxWorkers limit until they exit', function () {
+        runspace = new Runspace(scope, {
+            limits: {
+                maxWorkers: 1
+            }
+        });
+        var events = [];
+        runspace.on('limit', function (event) {
+            events.push(event);
+        });
+        var worker = null;
+        runspace.run('out(new (require("worker_threads").Worker)("setInterval(function () {}, 1000)", { eval: true }))', {
+            out: function (value) {
+                worker = value;
+            }
+        });
+        assert.deepEqual(runspace.getResourceUsage().workers, [{
+            threadId: worker.threadId,
+            filename: null
+        }]);
+        return support.expectCode('ERR_RUNSPACE_LIMIT', function () {
+            runspace.run('new (require("worker_threads").Worker)("./worker.js")');
+        }).then(function (err) {
+            assert.strictEqual(err.limit, 'maxWorkers');
+            assert.deepEqual(events, [{
+                limit: 'maxWorkers',
+                max: 1,
+                value: 2
+            }]);
+            var exited = support.once(worker, 'exit');
+            worker.terminate();
+            return exited;
+        }).then(function () {
+            assert.strictEqual(runspace.getResourceUsage().counts.workers, 0);
+        });
+    });
+
+    it('should give each worker its own overlay', function () {
+        support.writeFiles(scope, {
+            'writer.js': 'require("fs").writeFileSync("out.txt", "worker"); require("worker_threads").parentPort.postMessage(require("fs").readFileSync("in.txt", "utf8"))',
+            'in.txt': 'disk'
+        });
+        runspace = new Runspace(scope, {
+            overlay: true
+        });
+        return new Promise(function (resolve, reject) {
+            runspace.run('require("fs").writeFileSync("in.txt", "parent"); new (require("worker_threads").Worker)("./writer.js").on("message", resolve).on("error", reject)', {
+                resolve: resolve,
+                reject: reject
+            });
+        }).then(function (message) {
+            assert.strictEqual(message, 'disk');
+            assert.ok(!runspace.overlay.existsSync('out.txt'));
+            assert.ok(!fs.existsSync(path.join(scope, 'out.txt')));
+        });
+    });
+});
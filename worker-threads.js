@@ -0,0 +1,166 @@
+/*jshint node:true */
+/*global Promise */
+
+// sandbox-aware replacement of the worker_threads module
+// workers are child runspaces isolated in worker threads with the same options as the parent
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var path = require('path');
+var url = require('url');
+var util = require('util');
+
+var Map = require('./map');
+var RemoteRunspace = require('./remote-runspace');
+var cloneValue = require('./structured-clone');
+
+var nextThreadId = 0;
+// options of the parent runspace applied to workers, which are cloned into the worker thread
+var WORKER_OPTIONS = ['loadPaths', 'modules', 'conditions', 'builtins', 'transforms', 'alias', 'fs', 'net', 'overlay', 'liveProxy', 'timeout',
+    'terminateOnTimeout', 'terminateOnIdle', 'exitTimeout', 'process', 'os', 'rpcTimeout', 'limits', 'hostFrames'];
+
+function removeItem(arr, value) {
+    var idx = arr.indexOf(value);
+    if (idx >= 0) {
+        arr.splice(idx, 1);
+    }
+}
+
+function createParentPort(runspace) {
+    // runspace is kept in closures so that it is not reachable from sandbox
+    var port = new EventEmitter();
+    port.postMessage = function (message, transfer) {
+        runspace.emit('message', cloneValue(message, null, transfer));
+    };
+    port.close = function () {
+        port.emit('close');
+    };
+    port.ref = function () {};
+    port.unref = function () {};
+    return port;
+}
+
+// stdio contains the stdout and stderr pipes of the runspace which outputs of workers are forwarded to
+function createWorkerThreads(runspace, options, closeables, stdio) {
+    var workerOptions = options.worker || null;
+    var children = new Map();
+
+    function Worker(filename, opts) {
+        EventEmitter.call(this);
+        opts = opts || {};
+
+        var self = this;
+        var code;
+        if (opts.eval) {
+            code = String(filename);
+        } else {
+            filename = typeof filename === 'object' && filename.href ? url.fileURLToPath(filename.href) : path.resolve(runspace.scope, String(filename));
+            if (!runspace.isPathAllowed(filename)) {
+                var err = new Error(util.format('Access denied to worker script \'%s\'', filename));
+                err.code = 'EACCES';
+                throw err;
+            }
+            code = util.format('require(%s);', JSON.stringify(filename));
+        }
+
+        runspace._checkLimit('maxWorkers', runspace._resources.count('workers') + 1);
+        var childOptions = {};
+        WORKER_OPTIONS.forEach(function (i) {
+            if (options[i] !== undefined) {
+                childOptions[i] = options[i];
+            }
+        });
+        childOptions.isolation = 'worker';
+        childOptions.resourceLimits = opts.resourceLimits;
+        childOptions.worker = {
+            threadId: ++nextThreadId,
+            workerData: cloneValue(opts.workerData)
+        };
+
+        var child = new RemoteRunspace(runspace.scope, childOptions);
+        var threadId = childOptions.worker.threadId;
+        var closeable = {
+            close: function () {
+                child.terminate();
+            }
+        };
+        self.threadId = threadId;
+        children.set(self, child);
+        runspace._resources.add('workers', child, function () {
+            return {
+                threadId: threadId,
+                filename: opts.eval ? null : filename
+            };
+        });
+        self.stdout = child.stdout;
+        self.stderr = child.stderr;
+        self.stdin = opts.stdin ? child.stdin : null;
+        if (!opts.stdout) {
+            child.stdout.pipe(stdio.stdout, {
+                end: false
+            });
+        }
+        if (!opts.stderr) {
+            child.stderr.pipe(stdio.stderr, {
+                end: false
+            });
+        }
+        closeables.push(closeable);
+
+        child.on('message', function (message) {
+            // messages are recreated from built-ins of the parent sandbox
+            self.emit('message', cloneValue(message, runspace._realm));
+        });
+        child.on('error', function (err) {
+            self.emit('error', err);
+        });
+        child.once('terminate', function (event) {
+            // workers terminated by terminate() exit with code 1 as in Node.js
+            removeItem(closeables, closeable);
+            runspace._resources.remove(child);
+            self.threadId = -1;
+            self.emit('exit', event.reason === 'host' ? 1 : event.code);
+        });
+        child.run(code).then(null, function (err) {
+            // the script is aborted without error when terminated before it completes
+            if (!child.terminated) {
+                self.emit('error', err);
+                child.terminate();
+            }
+        });
+        process.nextTick(function () {
+            if (!child.terminated) {
+                self.emit('online');
+            }
+        });
+    }
+    util.inherits(Worker, EventEmitter);
+
+    Worker.prototype.postMessage = function (message, transfer) {
+        children.get(this).send(message, {
+            transfer: transfer
+        });
+    };
+    Worker.prototype.terminate = function () {
+        var child = children.get(this);
+        return new Promise(function (resolve) {
+            if (!child.terminated) {
+                child.terminate();
+            }
+            resolve(1);
+        });
+    };
+    Worker.prototype.ref = function () {};
+    Worker.prototype.unref = function () {};
+
+    return {
+        isMainThread: !workerOptions,
+        parentPort: workerOptions ? createParentPort(runspace) : null,
+        threadId: workerOptions ? workerOptions.threadId : 0,
+        workerData: workerOptions ? workerOptions.workerData : null,
+        Worker: Worker
+    };
+}
+
+module.exports = createWorkerThreads;